@@ -6,18 +6,29 @@ const bodyParser = require('body-parser');
 const authRoutes = require('./routes/auth');
 const geminiRoutes = require('./routes/gemini');
 const calendarRoutes = require('./routes/calendar');
+const adminRoutes = require('./routes/admin');
+const { getProvider } = require('./utils/providers');
+const { authenticate, getAuthMode } = require('./middleware/auth');
 
 const app = express();
 const PORT = process.env.PORT || 10000;
 
+// Behind a load balancer (Render, ...) set TRUST_PROXY=1 so req.ip is the client address (anonymous quotas)
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // CORS for Flutter/web - Enable for all origins in production
 const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').filter(Boolean);
 app.use(
   cors({
     origin: corsOrigins.length ? corsOrigins : '*', // Allow all origins if CORS_ORIGINS not set
     credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-User-Id', 'x-user-uid', 'X-User-UID', 'X-Request-Time', 'Cache-Control', 'Pragma', 'Expires'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-User-Id', 'x-user-uid', 'X-User-UID', 'X-Request-Time', 'X-Admin-Key', 'Cache-Control', 'Pragma', 'Expires'],
+    // Quota headers must be readable by browser clients (middleware/quota.js)
+    exposedHeaders: ['Retry-After', 'X-Quota-Plan', 'X-Quota-Limit', 'X-Quota-Remaining', 'X-Quota-Reset'],
   })
 );
 
@@ -42,13 +53,27 @@ app.use((req, res, next) => {
   next();
 });
 
+// Identify the caller for every router (req.user, see middleware/auth.js)
+app.use(authenticate);
+
 // Routes
 app.use('/auth', authRoutes);
 app.use('/ai', geminiRoutes);
 app.use('/calendar', calendarRoutes);
+app.use('/admin', adminRoutes);
 
 app.get('/health', (_req, res) => {
-  res.json({ status: 'ok', success: true, message: 'OK' });
+  const provider = getProvider();
+  const llm = provider.getHealth();
+  // Always 200 so the platform health check doesn't restart us while an upstream is degraded
+  const degraded = llm.circuit.state !== 'closed';
+  res.json({
+    status: degraded ? 'degraded' : 'ok',
+    success: true,
+    message: degraded ? `${provider.name} upstream degraded` : 'OK',
+    uptimeSeconds: Math.round(process.uptime()),
+    upstreams: { [provider.name]: llm },
+  });
 });
 
 app.get('/', (_req, res) => {
@@ -68,17 +93,31 @@ app.use((err, req, res, next) => {
   });
 });
 
-// Listen on all network interfaces (0.0.0.0) for cloud deployment
-app.listen(PORT, '0.0.0.0', () => {
+function logStartup() {
   const env = process.env.NODE_ENV || 'development';
   const apiKey = process.env.GEMINI_API_KEY;
-  const modelName = process.env.GEMINI_MODEL || 'gemini-3-flash-preview';
-  const geminiMode = (apiKey && apiKey.trim() !== '') ? 'REAL MODE' : 'MOCK MODE';
+  const geminiMode = (apiKey && apiKey.trim() !== '') ? 'REAL MODE' : 'NOT CONFIGURED (GEMINI_API_KEY missing)';
+  const provider = getProvider();
+  const providerHealth = provider.getHealth();
   
   console.log(`🚀 InstaFlow backend running on port ${PORT}`);
   console.log(`🌍 Environment: ${env}`);
-  console.log(`🤖 Gemini AI: ${geminiMode}`);
-  console.log(`🤖 Gemini Model: ${modelName}`);
+  console.log(`🤖 LLM Provider: ${provider.name}`);
+  if (provider.name === 'gemini') {
+    console.log(`🤖 Gemini AI: ${geminiMode}`);
+  }
+  if (provider.name === 'mock') {
+    console.log(`🤖 MOCK MODE: deterministic fixture output (seed: ${providerHealth.seed})`);
+  }
+  if (providerHealth.cassette) {
+    console.log(`📼 CASSETTE: ${providerHealth.cassette.mode} ${providerHealth.cassette.file}`);
+  }
+  console.log(`🤖 Models: ${providerHealth.models.join(' → ')}`);
+  if (getAuthMode() === 'firebase') {
+    console.log(`🔐 Auth: Firebase ID tokens (project: ${process.env.FIREBASE_PROJECT_ID || 'NOT CONFIGURED - FIREBASE_PROJECT_ID missing'})`);
+  } else {
+    console.warn('⚠️  Auth: trusting X-User-UID headers (AUTH_MODE=header) - development only');
+  }
   console.log(`✅ Server ready for requests!`);
   console.log(`📊 Health check: http://0.0.0.0:${PORT}/health`);
   
@@ -87,5 +126,11 @@ app.listen(PORT, '0.0.0.0', () => {
   } else {
     console.log(`💻 Development mode: http://localhost:${PORT}`);
   }
-});
+}
+
+// Listen on all network interfaces (0.0.0.0) for cloud deployment; scripts/check-routes.js serves the exported app itself
+if (require.main === module) {
+  app.listen(PORT, '0.0.0.0', logStartup);
+}
 
+module.exports = app;
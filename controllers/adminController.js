@@ -0,0 +1,77 @@
+const { buildUsageReport } = require('../utils/usage');
+const quotas = require('../utils/quotas');
+const { listAuthEvents } = require('../utils/authEvents');
+
+/**
+ * GET /admin/usage
+ * Token usage and estimated spend (pricing.json), aggregated from the per-call counters in utils/usage.js
+ * Query: from, to (YYYY-MM-DD, default the last 30 days), groupBy (day,user,jobType,model), userId, jobType
+ */
+async function getUsageReport(req, res) {
+  const { from, to, groupBy, userId, jobType } = req.query;
+  try {
+    const report = await buildUsageReport({ from, to, groupBy, userId, jobType });
+    res.json({ success: true, ...report });
+  } catch (error) {
+    console.error('[getUsageReport] ERROR:', error.message);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+}
+
+/**
+ * GET /admin/plans/:userId
+ * A user's plan and today's quota usage
+ */
+async function getUserPlan(req, res) {
+  try {
+    const quota = await quotas.getQuota(req.params.userId);
+    if (!quota) {
+      return res.status(503).json({ success: false, error: 'QUOTAS_DISABLED: Quotas are not configured' });
+    }
+    res.json({ success: true, userId: req.params.userId, quota });
+  } catch (error) {
+    console.error('[getUserPlan] ERROR:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+/**
+ * PUT /admin/plans/:userId
+ * Move a user to a plan tier (quotas.json)
+ * Body: { plan }
+ */
+async function setUserPlan(req, res) {
+  const { plan } = req.body || {};
+  if (!plan) {
+    return res.status(400).json({ success: false, error: 'plan is required' });
+  }
+
+  try {
+    const assignment = await quotas.setUserPlan(req.params.userId, plan);
+    res.json({ success: true, ...assignment, quota: await quotas.getQuota(req.params.userId) });
+  } catch (error) {
+    console.error('[setUserPlan] ERROR:', error.message);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+}
+
+/**
+ * GET /admin/auth-events/:userId
+ * A user's Google account connects and disconnects, oldest first
+ */
+async function getAuthEvents(req, res) {
+  try {
+    const events = await listAuthEvents(req.params.userId);
+    res.json({ success: true, userId: req.params.userId, events });
+  } catch (error) {
+    console.error('[getAuthEvents] ERROR:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+module.exports = {
+  getUsageReport,
+  getUserPlan,
+  setUserPlan,
+  getAuthEvents,
+};
@@ -1,32 +1,34 @@
-const { createOAuthClient, generateAuthUrl } = require('../utils/oauthClient');
-const { saveTokens, hasTokens } = require('../utils/tokenStore');
-
-function getUserId(req) {
-  // Try multiple header name variations (case-insensitive)
-  const uid = req.headers['x-user-uid'] || 
-              req.headers['X-User-UID'] || 
-              req.headers['x-user-id'] || 
-              req.headers['X-User-Id'] ||
-              req.query.userId || 
-              req.body?.userId;
-  
-  // Log for debugging
-  if (!uid) {
-    console.log('[getUserId] No userId found. Headers:', Object.keys(req.headers).filter(k => k.toLowerCase().includes('user')));
-    console.log('[getUserId] Query:', req.query);
-    console.log('[getUserId] Body:', req.body);
+const { createOAuthClient, generateAuthUrl, resolveScopes, probeTokens, revokeTokens } = require('../utils/oauthClient');
+const { createState, verifyState, consumeState } = require('../utils/oauthState');
+const { saveTokens, getTokens, updateTokens, deleteTokens } = require('../utils/tokenStore');
+const { listAccounts, resolveAccount, normalizeEmail } = require('../utils/googleAccounts');
+const { recordAuthEvent } = require('../utils/authEvents');
+
+// Errors are prefixed with their code (e.g. "OAUTH_STATE_REPLAYED: ...")
+function getErrorCode(error) {
+  const code = /^([A-Z][A-Z0-9_]+):/.exec(error.message || '');
+  return code ? code[1] : 'OAUTH_CALLBACK_FAILED';
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Send the user back to the app (deep link or web URL from the state) with the outcome as query params
+ */
+function redirectToApp(res, returnUrl, params) {
+  const target = new URL(returnUrl);
+  for (const [key, value] of Object.entries(params)) {
+    target.searchParams.set(key, value);
   }
-  
-  return uid;
+  res.redirect(302, target.toString());
 }
 
 async function getAuthUrl(req, res) {
   try {
-    const userId = getUserId(req);
-    if (!userId) {
-      console.error('[getAuthUrl] Missing userId/Firebase UID');
-      return res.status(400).json({ success: false, error: 'Missing userId/Firebase UID. Please login first.' });
-    }
+    // requireUser guarantees an authenticated caller (middleware/auth.js)
+    const userId = req.user.uid;
     
     // Check if Google OAuth is configured (check for missing or empty values)
     const clientId = (process.env.GOOGLE_CLIENT_ID || '').trim();
@@ -55,13 +57,19 @@ async function getAuthUrl(req, res) {
     }
     
     console.log('[getAuthUrl] Generating auth URL for userId:', userId);
-    const url = generateAuthUrl(userId); // Pass userId to include in state parameter
+    const scopes = resolveScopes(req.query.scopes);
+    // Signed single-use state: the callback only trusts the user id, return URL and scopes it carries
+    const { state, expiresAt } = await createState({ userId, returnUrl: req.query.returnUrl || null, scopes });
+    const url = generateAuthUrl(state, scopes, req.query.account ? normalizeEmail(req.query.account) : undefined);
     console.log('[getAuthUrl] Auth URL generated successfully');
-    res.json({ success: true, data: { url } });
+    res.json({ success: true, data: { url, expiresAt } });
   } catch (error) {
+    if (error.statusCode && error.statusCode < 500) {
+      return res.status(error.statusCode).json({ success: false, error: error.message, errorCode: getErrorCode(error) });
+    }
     console.error('[getAuthUrl] Error:', error.message);
     console.error('[getAuthUrl] Stack:', error.stack);
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       success: false, 
       error: `Failed to generate auth URL: ${error.message}` 
     });
@@ -69,25 +77,33 @@ async function getAuthUrl(req, res) {
 }
 
 async function handleCallback(req, res) {
+  let returnUrl = null;
   try {
     const code = req.query.code;
-    // Get userId from state parameter (passed in OAuth URL) or from headers/query
-    const userId = req.query.state || getUserId(req);
-    
-    console.log('[handleCallback] Received callback - code:', code ? 'present' : 'missing', 'userId:', userId || 'missing');
-    console.log('[handleCallback] Query params:', { code: code ? 'present' : 'missing', state: req.query.state });
-    
+    console.log('[handleCallback] Received callback - code:', code ? 'present' : 'missing', 'state:', req.query.state ? 'present' : 'missing');
+
+    // Errors are only redirected to a return URL from a correctly signed state, never to one an attacker made up
+    try {
+      returnUrl = verifyState(req.query.state).ret || null;
+    } catch (error) {
+      // Rejected by consumeState below
+    }
+
+    // Consumed before anything else, so a state can never be replayed, even after a denied consent
+    const { userId, scopes } = await consumeState(req.query.state);
+
+    if (req.query.error) {
+      console.warn('[handleCallback] Google returned error for userId:', userId, req.query.error);
+      const error = new Error(`OAUTH_ACCESS_DENIED: Google sign-in was not completed (${req.query.error})`);
+      error.statusCode = 400;
+      throw error;
+    }
+
     if (!code) {
       console.error('[handleCallback] Missing OAuth code');
-      return res.status(400).json({ success: false, error: 'Missing OAuth authorization code' });
-    }
-    
-    if (!userId) {
-      console.error('[handleCallback] Missing userId - state param:', req.query.state, 'headers:', Object.keys(req.headers).filter(k => k.toLowerCase().includes('user')));
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Missing userId/Firebase UID. Please ensure you are logged in and try connecting again.' 
-      });
+      const error = new Error('OAUTH_CODE_MISSING: Missing OAuth authorization code');
+      error.statusCode = 400;
+      throw error;
     }
 
     console.log('[handleCallback] Exchanging code for tokens for userId:', userId);
@@ -96,14 +112,37 @@ async function handleCallback(req, res) {
     
     if (!tokens?.refresh_token) {
       console.error('[handleCallback] No refresh_token received');
-      return res.status(400).json({
-        success: false,
-        error: 'No refresh_token returned. Ensure access_type=offline & prompt=consent',
-      });
+      const error = new Error('OAUTH_REFRESH_TOKEN_MISSING: No refresh_token returned. Ensure access_type=offline & prompt=consent');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // With granular consent the user can untick scopes; a connection without them would fail later
+    const granted = new Set((tokens.scope || '').split(' ').filter(Boolean));
+    const missing = granted.size > 0 ? scopes.filter(scope => !granted.has(scope)) : [];
+    if (missing.length > 0) {
+      console.error('[handleCallback] Scopes not granted for userId:', userId, missing);
+      const error = new Error(`OAUTH_SCOPES_DENIED: Access was not granted for ${missing.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
     }
     
-    console.log('[handleCallback] Tokens received, saving for userId:', userId);
-    saveTokens(userId, tokens);
+    // Accounts are identified by email (userinfo.email is always requested)
+    const { email } = await client.getTokenInfo(tokens.access_token);
+    if (!email) {
+      const error = new Error('OAUTH_ACCOUNT_UNKNOWN: Google did not return the account email');
+      error.statusCode = 400;
+      throw error;
+    }
+    const account = normalizeEmail(email);
+
+    console.log('[handleCallback] Tokens received, saving for userId:', userId, 'account:', account);
+    await saveTokens(userId, account, tokens);
+    await recordAuthEvent(userId, 'connected', { account, scopes: (tokens.scope || '').split(' ').filter(Boolean) });
+
+    if (returnUrl) {
+      return redirectToApp(res, returnUrl, { status: 'connected', account });
+    }
     
     // Return success page that can be displayed in browser
     res.send(`
@@ -155,8 +194,13 @@ async function handleCallback(req, res) {
     `);
   } catch (error) {
     console.error('[handleCallback] OAuth callback error:', error.message);
-    console.error('[handleCallback] Stack:', error.stack);
-    res.status(500).send(`
+    if (!error.statusCode || error.statusCode >= 500) {
+      console.error('[handleCallback] Stack:', error.stack);
+    }
+    if (returnUrl) {
+      return redirectToApp(res, returnUrl, { status: 'error', error: getErrorCode(error) });
+    }
+    res.status(error.statusCode || 500).send(`
       <!DOCTYPE html>
       <html>
         <head>
@@ -189,7 +233,7 @@ async function handleCallback(req, res) {
           <div class="container">
             <div class="error">❌</div>
             <h1>Connection Failed</h1>
-            <p>${error.message || 'An error occurred while connecting to Google Calendar.'}</p>
+            <p>${escapeHtml(error.message || 'An error occurred while connecting to Google Calendar.')}</p>
             <p>Please try again from the app.</p>
           </div>
         </body>
@@ -198,21 +242,149 @@ async function handleCallback(req, res) {
   }
 }
 
+/**
+ * Status of one connected account, with email, granted scopes and token health from a refresh probe
+ */
+async function describeAccount(userId, account, probe) {
+  const key = account.email || '';
+  const tokens = await getTokens(userId, key);
+  if (!tokens) return null;
+
+  const data = {
+    email: account.email,
+    scopes: (tokens.scope || '').split(' ').filter(Boolean),
+    health: null,
+    connectedAt: account.connectedAt,
+    lastRefreshedAt: account.lastRefreshedAt,
+    lastUsedAt: account.lastUsedAt,
+  };
+  if (!probe) return data;
+
+  const result = await probeTokens(tokens);
+  if (result.tokens) {
+    await updateTokens(userId, key, result.tokens);
+  }
+  if (result.health !== 'valid') {
+    console.warn('[getStatus] Token health for userId:', userId, 'account:', account.email, result.health, result.error);
+  }
+  return {
+    ...data,
+    email: account.email || result.email,
+    scopes: result.scopes,
+    health: result.health,
+    checkedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * GET /auth/status
+ * Connected Google accounts with their email, granted scopes and token health (refresh probe)
+ * Query: account (one account only), probe=false skips the calls to Google (health is then null)
+ */
 async function getStatus(req, res) {
   try {
-    const userId = getUserId(req);
-    if (!userId) return res.status(400).json({ success: false, error: 'Missing userId/Firebase UID' });
-    const connected = hasTokens(userId);
-    res.json({ success: true, data: { connected } });
+    const userId = req.user.uid;
+    let accounts = await listAccounts(userId);
+    if (req.query.account) {
+      const email = await resolveAccount(userId, req.query.account);
+      accounts = accounts.filter(account => (account.email || '') === email);
+    }
+
+    const probe = req.query.probe !== 'false';
+    const described = await Promise.all(accounts.map(account => describeAccount(userId, account, probe)));
+    const connected = described.filter(Boolean);
+
+    res.json({ success: true, data: { connected: connected.length > 0, accounts: connected } });
   } catch (error) {
+    if (error.statusCode && error.statusCode < 500) {
+      return res.status(error.statusCode).json({ success: false, error: error.message, errorCode: getErrorCode(error) });
+    }
     console.error('getStatus error', error);
     res.status(500).json({ success: false, error: 'Status check failed' });
   }
 }
 
+/**
+ * GET /auth/accounts
+ * Connected Google accounts, oldest first (no calls to Google unless a legacy connection has to be identified)
+ */
+async function getAccounts(req, res) {
+  try {
+    const accounts = await listAccounts(req.user.uid);
+    res.json({
+      success: true,
+      data: accounts.map(({ email, connectedAt, lastRefreshedAt, lastUsedAt }) => ({ email, connectedAt, lastRefreshedAt, lastUsedAt })),
+    });
+  } catch (error) {
+    console.error('[getAccounts] Error:', error.message);
+    res.status(500).json({ success: false, error: `Failed to list accounts: ${error.message}` });
+  }
+}
+
+async function disconnectAccount(userId, email) {
+  const tokens = await getTokens(userId, email);
+  if (!tokens) return null;
+
+  let revoked = false;
+  let revokeError = null;
+  try {
+    const result = await revokeTokens(tokens);
+    revoked = true;
+    if (result.alreadyRevoked) {
+      console.log('[disconnect] Grant was already revoked for userId:', userId, 'account:', email);
+    }
+  } catch (error) {
+    revokeError = error.message;
+    console.error('[disconnect] Revoking with Google failed for userId:', userId, 'account:', email, error.message);
+  }
+
+  await deleteTokens(userId, email);
+  await recordAuthEvent(userId, 'disconnected', { account: email || null, revoked, revokeError });
+  console.log('[disconnect] Disconnected userId:', userId, 'account:', email, 'revoked:', revoked);
+  return { email: email || null, revoked };
+}
+
+/**
+ * POST /auth/disconnect
+ * Revoke the Google grant and delete the stored tokens
+ * Body: { account } - email of the account to disconnect, all accounts when omitted
+ * The tokens are deleted even when Google cannot be reached; that account is then reported with revoked: false
+ */
+async function disconnect(req, res) {
+  const userId = req.user.uid;
+  const { account } = req.body || {};
+  try {
+    const emails = account
+      ? [await resolveAccount(userId, account)]
+      : (await listAccounts(userId)).map(connected => connected.email || '');
+
+    const results = [];
+    for (const email of emails) {
+      const result = await disconnectAccount(userId, email);
+      if (result) results.push(result);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        disconnected: results,
+        ...(results.some(result => !result.revoked) && { warning: 'Google could not be reached to revoke access; remove InstaFlow at https://myaccount.google.com/permissions' }),
+      },
+    });
+  } catch (error) {
+    if (error.statusCode && error.statusCode < 500) {
+      return res.status(error.statusCode).json({ success: false, error: error.message, errorCode: getErrorCode(error) });
+    }
+    console.error('[disconnect] Error:', error.message);
+    res.status(500).json({ success: false, error: `Failed to disconnect: ${error.message}` });
+  }
+}
+
 module.exports = {
   getAuthUrl,
   handleCallback,
   getStatus,
+  getAccounts,
+  disconnect,
 };
 
@@ -1,38 +1,230 @@
 const { google } = require('googleapis');
-const { createOAuthClient } = require('../utils/oauthClient');
-const { getTokens, saveTokens } = require('../utils/tokenStore');
-
-function getUserId(req) {
-  // Try multiple header name variations (case-insensitive)
-  const uid = req.headers['x-user-uid'] || 
-              req.headers['X-User-UID'] || 
-              req.headers['x-user-id'] || 
-              req.headers['X-User-Id'] ||
-              req.body?.userId || 
-              req.query?.userId;
-  
-  // Log for debugging
-  if (!uid) {
-    console.log('[getUserId] No userId found. Headers:', Object.keys(req.headers).filter(k => k.toLowerCase().includes('user')));
-    console.log('[getUserId] Query:', req.query);
-    console.log('[getUserId] Body:', req.body);
-  }
-  
-  return uid;
+const { listAccounts, getAuthorizedClient } = require('../utils/googleAccounts');
+const { getJob } = require('../utils/jobStore');
+const { buildPlanEvents, parseWeekday, DEFAULT_POST_TIME } = require('../utils/planImport');
+const { parsePostingWindows, postingWindowsFromJob, findSlots } = require('../utils/slotFinder');
+const { isValidDate, isValidTimeZone, parseDateTimeInZone, zonedTimeToUtc, toZonedParts, addDays, weekdayOf } = require('../utils/timezone');
+const { WEEKDAY_CODES, parseRecurrence, parseReminders, parseContentType, resolveColorId, parseWeekdays } = require('../utils/eventOptions');
+const { getPreferences, updatePreferences, getUserTimeZone } = require('../utils/userPreferences');
+
+// Errors are prefixed with their code (e.g. "GOOGLE_ACCOUNT_REQUIRED: ...")
+function sendCodedError(res, error) {
+  const code = /^([A-Z][A-Z0-9_]+):/.exec(error.message);
+  res.status(error.statusCode).json({ success: false, error: error.message, errorCode: code ? code[1] : undefined });
 }
 
-async function createCalendarEvent(req, res) {
+// Events created by InstaFlow carry this private extended property, so listings can be limited to them
+const INSTAFLOW_PROPERTY = 'instaflow';
+const INSTAFLOW_FILTER = `${INSTAFLOW_PROPERTY}=true`;
+const PLAN_JOB_PROPERTY = 'instaflowJobId';
+const PLAN_DAY_PROPERTY = 'instaflowPlanDay';
+// Recurring posting slots are InstaFlow events with these properties as well
+const SLOT_PROPERTY = 'instaflowSlot';
+const CONTENT_TYPE_PROPERTY = 'instaflowContentType';
+const DEFAULT_SLOT_RANGE_DAYS = 14;
+const MAX_SLOT_RANGE_DAYS = 92;
+const DEFAULT_WORKING_HOURS = { start: '09:00', end: '18:00', days: ['mon', 'tue', 'wed', 'thu', 'fri'] };
+// freebusy.query accepts at most 50 calendars per request
+const MAX_FREEBUSY_CALENDARS = 50;
+const PLAN_IMPORT_CONCURRENCY = 3;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function calendarError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function privateProperties(event) {
+  return (event.extendedProperties && event.extendedProperties.private) || {};
+}
+
+function isInstaflowEvent(event) {
+  return privateProperties(event)[INSTAFLOW_PROPERTY] === 'true';
+}
+
+function isSlotEvent(event) {
+  return privateProperties(event)[SLOT_PROPERTY] === 'true';
+}
+
+// Date-times without an offset ('2024-01-01T10:00') are local to timeZone
+function parseDateTime(value, name, timeZone = 'UTC') {
+  const date = parseDateTimeInZone(value, timeZone);
+  if (!date) {
+    throw calendarError(`CALENDAR_DATE_INVALID: ${name} must be an ISO 8601 date-time (e.g. 2024-01-01T10:00:00Z or 2024-01-01T15:30 local)`);
+  }
+  return date;
+}
+
+function validateTimeZone(timeZone) {
+  if (timeZone !== undefined && !isValidTimeZone(timeZone)) {
+    throw calendarError('CALENDAR_TIMEZONE_INVALID: timeZone must be an IANA time zone (e.g. Asia/Kolkata)');
+  }
+}
+
+/**
+ * Zone new events are created in (and local date-times are read in): the request's, else the user's preference,
+ * else the calendar's own
+ */
+async function resolveTimeZone(calendar, calendarId, userId, requested) {
+  if (requested) return requested;
+  const preferred = await getUserTimeZone(userId);
+  if (preferred) return preferred;
+  const { data } = await calendar.calendars.get({ calendarId });
+  return data.timeZone || 'UTC';
+}
+
+/**
+ * from/to of a listing, defaulting to now and defaultDays later
+ * @returns {{ timeMin: Date, timeMax: Date }}
+ * @throws {Error} CALENDAR_DATE_INVALID / CALENDAR_RANGE_INVALID (400)
+ */
+function parseRange(from, to, timeZone, defaultDays, maxDays) {
+  const timeMin = from ? parseDateTime(from, 'from', timeZone) : new Date();
+  const timeMax = to ? parseDateTime(to, 'to', timeZone) : new Date(timeMin.getTime() + defaultDays * DAY_MS);
+  if (timeMax <= timeMin) {
+    throw calendarError('CALENDAR_RANGE_INVALID: to must be after from');
+  }
+  if (timeMax - timeMin > maxDays * DAY_MS) {
+    throw calendarError(`CALENDAR_RANGE_INVALID: The range can span at most ${maxDays} days`);
+  }
+  return { timeMin, timeMax };
+}
+
+/**
+ * Map a failed calendar call to a response
+ * Account errors keep their status, Google's 404/410 become notFound, expired grants ask to reconnect
+ */
+function sendCalendarError(res, error, functionName, action, notFound) {
+  if (error.statusCode && error.statusCode < 500) {
+    return sendCodedError(res, error);
+  }
+  const status = error.response && error.response.status;
+  if (status === 404 || status === 410) {
+    return res.status(404).json({ success: false, error: notFound.message, errorCode: notFound.code });
+  }
+
+  console.error(`[${functionName}] ❌ Error:`, error.message);
+  console.error(`[${functionName}] Stack:`, error.stack);
+
+  // Provide more specific error messages
+  let errorMessage;
+  if (error.message.includes('invalid_grant')) {
+    errorMessage = 'Google Calendar access expired. Please reconnect your Google Calendar.';
+  } else if (error.message.includes('insufficient')) {
+    errorMessage = 'Insufficient permissions. Please ensure calendar access is granted.';
+  } else if (error.message.includes('invalid')) {
+    errorMessage = `Invalid request: ${error.message}`;
+  } else {
+    errorMessage = `Failed to ${action}: ${error.message}`;
+  }
+  res.status(500).json({ success: false, error: errorMessage });
+}
+
+const CALENDAR_NOT_FOUND = { code: 'CALENDAR_NOT_FOUND', message: 'Calendar not found in this Google account' };
+const EVENT_NOT_FOUND = { code: 'CALENDAR_EVENT_NOT_FOUND', message: 'Event not found in this calendar' };
+
+// GOOGLE_API_BASE_URL points Calendar API calls at a stand-in server (local testing)
+function calendarApi(client) {
+  const rootUrl = (process.env.GOOGLE_API_BASE_URL || '').trim();
+  return google.calendar({ version: 'v3', auth: client, ...(rootUrl && { rootUrl: rootUrl.replace(/\/*$/, '/') }) });
+}
+
+function toCalendar(entry) {
+  return {
+    id: entry.id,
+    summary: entry.summaryOverride || entry.summary,
+    description: entry.description || null,
+    primary: Boolean(entry.primary),
+    accessRole: entry.accessRole,
+    writable: entry.accessRole === 'owner' || entry.accessRole === 'writer',
+    timeZone: entry.timeZone || null,
+    backgroundColor: entry.backgroundColor || null,
+  };
+}
+
+async function fetchCalendarList(calendar) {
+  const calendars = [];
+  let pageToken;
+  do {
+    const response = await calendar.calendarList.list({ pageToken, maxResults: 250 });
+    calendars.push(...(response.data.items || []).map(toCalendar));
+    pageToken = response.data.nextPageToken;
+  } while (pageToken);
+  return calendars;
+}
+
+async function listAccountCalendars(userId, account) {
+  const { client, email } = await getAuthorizedClient(userId, account);
+  return { email, calendars: await fetchCalendarList(calendarApi(client)) };
+}
+
+/**
+ * GET /calendar/calendars
+ * Calendars of every connected Google account (calendarList.list)
+ * Query: account (one account only), writable=true (only calendars events can be created in)
+ * An account that fails (e.g. revoked access) is reported with an error instead of failing the whole list
+ */
+async function listCalendars(req, res) {
+  const userId = req.user.uid;
+  const { account, writable } = req.query;
   try {
-    const { title, description, startDateTime, endDateTime } = req.body || {};
-    const userId = getUserId(req);
+    const accounts = account ? [{ email: account }] : await listAccounts(userId);
 
-    console.log('[createCalendarEvent] Request received - userId:', userId || 'missing');
-    console.log('[createCalendarEvent] Event data:', { title, description, startDateTime, endDateTime });
+    const results = await Promise.all(accounts.map(async (connected) => {
+      try {
+        const result = await listAccountCalendars(userId, connected.email || undefined);
+        if (writable === 'true') {
+          result.calendars = result.calendars.filter(entry => entry.writable);
+        }
+        return result;
+      } catch (error) {
+        // A single requested account fails the request like any other calendar call
+        if (account) throw error;
+        console.error('[listCalendars] Failed for userId:', userId, 'account:', connected.email, error.message);
+        return { email: connected.email, calendars: [], error: error.message };
+      }
+    }));
 
-    if (!userId) {
-      console.error('[createCalendarEvent] Missing userId');
-      return res.status(400).json({ success: false, error: 'Missing userId/Firebase UID. Please login first.' });
+    res.json({ success: true, data: { accounts: results } });
+  } catch (error) {
+    if (error.statusCode && error.statusCode < 500) {
+      return sendCodedError(res, error);
     }
+    console.error('[listCalendars] ❌ Error:', error.message);
+    res.status(500).json({ success: false, error: `Failed to list calendars: ${error.message}` });
+  }
+}
+
+/**
+ * POST /calendar/create
+ * Body: { title, description, startDateTime, endDateTime, timeZone, account, calendarId,
+ *         recurrence, reminders, contentType, colorId }
+ * timeZone (IANA) defaults to the user's preference, then the calendar's; date-times without an offset are local to it.
+ * recurrence takes RRULE lines, reminders [{ method: popup|email, minutes }], contentType (reel, carousel, ...) sets the color.
+ */
+async function createCalendarEvent(req, res) {
+  try {
+    const {
+      title,
+      description,
+      startDateTime,
+      endDateTime,
+      timeZone: requestedTimeZone,
+      account,
+      calendarId = 'primary',
+      recurrence: requestedRecurrence,
+      reminders: requestedReminders,
+      contentType: requestedContentType,
+      colorId: requestedColorId,
+    } = req.body || {};
+    // requireUser guarantees an authenticated caller (middleware/auth.js)
+    const userId = req.user.uid;
+
+    console.log('[createCalendarEvent] Request received - userId:', userId);
+    console.log('[createCalendarEvent] Event data:', { title, description, startDateTime, endDateTime, timeZone: requestedTimeZone });
     
     if (!title || !startDateTime || !endDateTime) {
       console.error('[createCalendarEvent] Missing required fields:', { 
@@ -45,85 +237,795 @@ async function createCalendarEvent(req, res) {
         error: `Missing required fields: ${!title ? 'title' : ''} ${!startDateTime ? 'startDateTime' : ''} ${!endDateTime ? 'endDateTime' : ''}`.trim()
       });
     }
+    validateTimeZone(requestedTimeZone);
+    const recurrence = parseRecurrence(requestedRecurrence);
+    const reminders = parseReminders(requestedReminders);
+    const contentType = parseContentType(requestedContentType);
+    const colorId = resolveColorId(requestedColorId, contentType);
 
-    console.log('[createCalendarEvent] Getting tokens for userId:', userId);
-    const tokens = getTokens(userId);
-    if (!tokens) {
-      console.error('[createCalendarEvent] No tokens found for userId:', userId);
-      return res.status(401).json({ 
-        success: false, 
-        error: 'User not connected to Google Calendar. Please connect your Google Calendar first from the settings.' 
-      });
-    }
-
-    console.log('[createCalendarEvent] Creating OAuth client and setting credentials');
-    const client = createOAuthClient();
-    client.setCredentials(tokens);
-
-    // Handle token refresh
-    client.on('tokens', (newTokens) => {
-      if (newTokens.refresh_token || newTokens.access_token) {
-        console.log('[createCalendarEvent] Tokens refreshed, saving...');
-        saveTokens(userId, { ...tokens, ...newTokens });
-      }
-    });
+    console.log('[createCalendarEvent] Getting Google account for userId:', userId, 'account:', account || '(only)');
+    const { client, email } = await getAuthorizedClient(userId, account);
 
     console.log('[createCalendarEvent] Creating calendar event...');
-    const calendar = google.calendar({ version: 'v3', auth: client });
+    const calendar = calendarApi(client);
+    const timeZone = await resolveTimeZone(calendar, calendarId, userId, requestedTimeZone);
     
     // Validate and format datetime
-    const startDate = new Date(startDateTime);
-    const endDate = new Date(endDateTime);
+    const startDate = parseDateTimeInZone(startDateTime, timeZone);
+    const endDate = parseDateTimeInZone(endDateTime, timeZone);
     
-    if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+    if (!startDate || !endDate) {
       console.error('[createCalendarEvent] Invalid date format:', { startDateTime, endDateTime });
       return res.status(400).json({ 
         success: false, 
-        error: 'Invalid date format. Please use ISO 8601 format (e.g., 2024-01-01T10:00:00Z)' 
+        error: 'Invalid date format. Please use ISO 8601 format (e.g., 2024-01-01T10:00:00Z, or 2024-01-01T15:30 in the event time zone)' 
       });
     }
+    if (endDate <= startDate) {
+      throw calendarError('CALENDAR_EVENT_INVALID: endDateTime must be after startDateTime');
+    }
 
     const event = {
       summary: title,
       description: description || 'Scheduled via InstaFlow',
       start: { 
         dateTime: startDate.toISOString(),
-        timeZone: 'UTC',
+        timeZone,
       },
       end: { 
         dateTime: endDate.toISOString(),
-        timeZone: 'UTC',
+        timeZone,
+      },
+      ...(recurrence && { recurrence }),
+      ...(reminders && { reminders }),
+      ...(colorId && { colorId }),
+      extendedProperties: {
+        private: {
+          [INSTAFLOW_PROPERTY]: 'true',
+          ...(contentType && { [CONTENT_TYPE_PROPERTY]: contentType }),
+        },
       },
     };
 
     console.log('[createCalendarEvent] Event object:', JSON.stringify(event, null, 2));
 
     const response = await calendar.events.insert({
-      calendarId: 'primary',
+      calendarId,
       requestBody: event,
     });
 
-    console.log('[createCalendarEvent] ✅ Event created successfully:', response.data.id);
-    res.json({ success: true, data: response.data });
+    console.log('[createCalendarEvent] ✅ Event created successfully:', response.data.id, 'in', email, calendarId);
+    res.json({ success: true, data: { ...response.data, account: email, calendarId, timeZone } });
   } catch (error) {
-    console.error('[createCalendarEvent] ❌ Error:', error.message);
-    console.error('[createCalendarEvent] Stack:', error.stack);
-    
-    // Provide more specific error messages
-    let errorMessage = 'Failed to create calendar event';
-    if (error.message.includes('invalid_grant')) {
-      errorMessage = 'Google Calendar access expired. Please reconnect your Google Calendar.';
-    } else if (error.message.includes('insufficient')) {
-      errorMessage = 'Insufficient permissions. Please ensure calendar access is granted.';
-    } else if (error.message.includes('invalid')) {
-      errorMessage = `Invalid request: ${error.message}`;
-    } else {
-      errorMessage = `Failed to create calendar event: ${error.message}`;
+    sendCalendarError(res, error, 'createCalendarEvent', 'create calendar event', CALENDAR_NOT_FOUND);
+  }
+}
+
+/**
+ * GET /calendar/events
+ * Events in a time range, expanded to single occurrences and ordered by start
+ * Query: account, calendarId (default primary), from/to (ISO 8601, default now and 30 days later, at most 366 days;
+ *        local date-times are read in timeZone, see resolveTimeZone), source (instaflow (default) = only events
+ *        created by InstaFlow, all), pageToken
+ */
+async function listCalendarEvents(req, res) {
+  const userId = req.user.uid;
+  const { account, calendarId = 'primary', from, to, source = 'instaflow', pageToken, timeZone: requestedTimeZone } = req.query;
+  try {
+    validateTimeZone(requestedTimeZone);
+    if (!['instaflow', 'all'].includes(source)) {
+      throw calendarError('CALENDAR_SOURCE_INVALID: source must be instaflow or all');
     }
-    
-    res.status(500).json({ success: false, error: errorMessage });
+
+    const { client, email } = await getAuthorizedClient(userId, account);
+    const calendar = calendarApi(client);
+    const timeZone = await resolveTimeZone(calendar, calendarId, userId, requestedTimeZone);
+    const { timeMin, timeMax } = parseRange(from, to, timeZone, DEFAULT_RANGE_DAYS, MAX_RANGE_DAYS);
+    const response = await calendar.events.list({
+      calendarId,
+      timeMin: timeMin.toISOString(),
+      timeMax: timeMax.toISOString(),
+      singleEvents: true,
+      orderBy: 'startTime',
+      maxResults: 250,
+      pageToken,
+      ...(source === 'instaflow' && { privateExtendedProperty: INSTAFLOW_FILTER }),
+    });
+
+    res.json({
+      success: true,
+      data: {
+        account: email,
+        calendarId,
+        timeZone,
+        from: timeMin.toISOString(),
+        to: timeMax.toISOString(),
+        events: response.data.items || [],
+        nextPageToken: response.data.nextPageToken || null,
+      },
+    });
+  } catch (error) {
+    sendCalendarError(res, error, 'listCalendarEvents', 'list calendar events', CALENDAR_NOT_FOUND);
+  }
+}
+
+/**
+ * GET /calendar/events/:id
+ * Query: account, calendarId (default primary)
+ */
+async function getCalendarEvent(req, res) {
+  const userId = req.user.uid;
+  const { account, calendarId = 'primary' } = req.query;
+  try {
+    const { client, email } = await getAuthorizedClient(userId, account);
+    const response = await calendarApi(client).events.get({ calendarId, eventId: req.params.id });
+    res.json({ success: true, data: { ...response.data, account: email, calendarId, instaflow: isInstaflowEvent(response.data) } });
+  } catch (error) {
+    sendCalendarError(res, error, 'getCalendarEvent', 'get calendar event', EVENT_NOT_FOUND);
+  }
+}
+
+/**
+ * Load an event the request may change; only events created by InstaFlow can be edited or deleted
+ */
+async function getOwnedEvent(calendar, calendarId, eventId) {
+  const { data: event } = await calendar.events.get({ calendarId, eventId });
+  if (event.status === 'cancelled') {
+    throw calendarError(`${EVENT_NOT_FOUND.code}: ${EVENT_NOT_FOUND.message}`, 404);
+  }
+  if (!isInstaflowEvent(event)) {
+    throw calendarError('CALENDAR_EVENT_NOT_OWNED: Only events created by InstaFlow can be changed', 403);
+  }
+  return event;
+}
+
+/**
+ * PATCH /calendar/events/:id
+ * Edit or move an InstaFlow event
+ * Body: { account, calendarId, title, description, startDateTime, endDateTime, timeZone }; a new start without an end keeps the duration
+ * Date-times without an offset are local to timeZone, default the event's own; timeZone alone relabels the event
+ */
+async function updateCalendarEvent(req, res) {
+  const userId = req.user.uid;
+  const { account, calendarId = 'primary', title, description, startDateTime, endDateTime, timeZone: requestedTimeZone } = req.body || {};
+  try {
+    if ([title, description, startDateTime, endDateTime, requestedTimeZone].every(value => value === undefined)) {
+      throw calendarError('CALENDAR_EVENT_EMPTY_UPDATE: Provide title, description, startDateTime, endDateTime or timeZone');
+    }
+    validateTimeZone(requestedTimeZone);
+    if (title !== undefined && (typeof title !== 'string' || !title.trim())) {
+      throw calendarError('CALENDAR_EVENT_INVALID: title must be a non-empty string');
+    }
+
+    const { client, email } = await getAuthorizedClient(userId, account);
+    const calendar = calendarApi(client);
+    const existing = await getOwnedEvent(calendar, calendarId, req.params.id);
+
+    const patch = {};
+    if (title !== undefined) patch.summary = title;
+    if (description !== undefined) patch.description = description;
+
+    if (startDateTime !== undefined || endDateTime !== undefined || requestedTimeZone !== undefined) {
+      const timeZone = requestedTimeZone || existing.start.timeZone || (await getUserTimeZone(userId)) || 'UTC';
+      const currentStart = new Date(existing.start.dateTime || existing.start.date);
+      const currentEnd = new Date(existing.end.dateTime || existing.end.date);
+      const startDate = startDateTime !== undefined ? parseDateTime(startDateTime, 'startDateTime', timeZone) : currentStart;
+      const endDate = endDateTime !== undefined
+        ? parseDateTime(endDateTime, 'endDateTime', timeZone)
+        : new Date(startDate.getTime() + (currentEnd - currentStart));
+      if (endDate <= startDate) {
+        throw calendarError('CALENDAR_EVENT_INVALID: endDateTime must be after startDateTime');
+      }
+      patch.start = { dateTime: startDate.toISOString(), timeZone };
+      patch.end = { dateTime: endDate.toISOString(), timeZone };
+    }
+
+    const response = await calendar.events.patch({ calendarId, eventId: req.params.id, requestBody: patch });
+    console.log('[updateCalendarEvent] ✅ Event updated:', req.params.id, 'fields:', Object.keys(patch).join(', '));
+    res.json({ success: true, data: { ...response.data, account: email, calendarId } });
+  } catch (error) {
+    sendCalendarError(res, error, 'updateCalendarEvent', 'update calendar event', EVENT_NOT_FOUND);
+  }
+}
+
+/**
+ * DELETE /calendar/events/:id
+ * Cancel an InstaFlow event
+ * Query: account, calendarId (default primary)
+ */
+async function deleteCalendarEvent(req, res) {
+  const userId = req.user.uid;
+  const { account, calendarId = 'primary' } = req.query;
+  try {
+    const { client, email } = await getAuthorizedClient(userId, account);
+    const calendar = calendarApi(client);
+    await getOwnedEvent(calendar, calendarId, req.params.id);
+
+    await calendar.events.delete({ calendarId, eventId: req.params.id });
+    console.log('[deleteCalendarEvent] ✅ Event deleted:', req.params.id, 'in', email, calendarId);
+    res.json({ success: true, data: { id: req.params.id, account: email, calendarId, deleted: true } });
+  } catch (error) {
+    sendCalendarError(res, error, 'deleteCalendarEvent', 'delete calendar event', EVENT_NOT_FOUND);
+  }
+}
+
+/**
+ * Run fn over items with at most `limit` calls in flight, results in item order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Load an AI job the user may schedule from (a calendar job unless other types are allowed)
+ * Jobs of other users are reported as not found; anonymous jobs can be used by anyone holding the id
+ */
+async function getPlanJob(jobId, userId, types = ['calendar']) {
+  const job = await getJob(jobId);
+  if (!job || (job.userId && job.userId !== userId)) {
+    throw calendarError('PLAN_JOB_NOT_FOUND: Job not found', 404);
+  }
+  if (!types.includes(job.type)) {
+    throw calendarError(`PLAN_JOB_INVALID: Job ${jobId} is a ${job.type} job, not a ${types.join(' or ')} job`);
+  }
+  if (job.status !== 'completed') {
+    throw calendarError(`PLAN_JOB_NOT_COMPLETED: Job ${jobId} is ${job.status}`, 409);
+  }
+  if (job.type === 'calendar' && (!Array.isArray(job.data) || job.data.length === 0)) {
+    throw calendarError(`PLAN_EMPTY: Job ${jobId} has no plan items`, 422);
+  }
+  return job;
+}
+
+/**
+ * POST /calendar/import-plan
+ * Create one timed event per day of a completed /ai/calendar job
+ * Body: { jobId, startDate (YYYY-MM-DD), timeZone (IANA, default the user's preference, then the calendar's), account, calendarId,
+ *        durationMinutes (default 30) }
+ * Days imported from the same job before are skipped, so a retry only creates the missing ones.
+ * Responds 200 when every day was created or skipped, 207 when some failed and 502 when all failed;
+ * items reports each day's status (created | skipped | failed).
+ */
+async function importPlan(req, res) {
+  const userId = req.user.uid;
+  const { jobId, startDate, timeZone: requestedTimeZone, account, calendarId = 'primary', durationMinutes = 30 } = req.body || {};
+  try {
+    if (!jobId) {
+      throw calendarError('PLAN_JOB_REQUIRED: jobId is required');
+    }
+    if (!isValidDate(startDate)) {
+      throw calendarError('CALENDAR_DATE_INVALID: startDate must be a date (YYYY-MM-DD)');
+    }
+    validateTimeZone(requestedTimeZone);
+    if (!Number.isInteger(durationMinutes) || durationMinutes < 5 || durationMinutes > 720) {
+      throw calendarError('CALENDAR_EVENT_INVALID: durationMinutes must be an integer between 5 and 720');
+    }
+
+    const job = await getPlanJob(jobId, userId);
+    const { client, email } = await getAuthorizedClient(userId, account);
+    const calendar = calendarApi(client);
+
+    const timeZone = await resolveTimeZone(calendar, calendarId, userId, requestedTimeZone);
+    const planEvents = buildPlanEvents({ plan: job.data, jobId, startDate, timeZone, durationMinutes });
+
+    const existing = await calendar.events.list({
+      calendarId,
+      privateExtendedProperty: `${PLAN_JOB_PROPERTY}=${jobId}`,
+      maxResults: 250,
+    });
+    const imported = new Map((existing.data.items || []).map(event => [event.extendedProperties.private[PLAN_DAY_PROPERTY], event.id]));
+
+    console.log(`[importPlan] Importing ${planEvents.length} days of ${jobId} into ${email} ${calendarId} (${timeZone}), ${imported.size} already imported`);
+    const items = await mapWithConcurrency(planEvents, PLAN_IMPORT_CONCURRENCY, async (planEvent) => {
+      const item = {
+        planDay: planEvent.planDay,
+        dayOfWeek: planEvent.dayOfWeek,
+        date: planEvent.date,
+        postTime: planEvent.postTime,
+        timeDefaulted: planEvent.timeDefaulted,
+        start: planEvent.start.toISOString(),
+        end: planEvent.end.toISOString(),
+      };
+      const existingId = imported.get(String(planEvent.planDay));
+      if (existingId) {
+        return { ...item, status: 'skipped', eventId: existingId };
+      }
+
+      try {
+        const response = await calendar.events.insert({
+          calendarId,
+          requestBody: {
+            ...planEvent.requestBody,
+            extendedProperties: {
+              private: {
+                [INSTAFLOW_PROPERTY]: 'true',
+                [PLAN_JOB_PROPERTY]: jobId,
+                [PLAN_DAY_PROPERTY]: String(planEvent.planDay),
+                ...(planEvent.contentType && { [CONTENT_TYPE_PROPERTY]: planEvent.contentType }),
+              },
+            },
+          },
+        });
+        return { ...item, status: 'created', eventId: response.data.id };
+      } catch (error) {
+        console.error(`[importPlan] Day ${planEvent.planDay + 1} of ${jobId} failed:`, error.message);
+        return { ...item, status: 'failed', error: error.message };
+      }
+    });
+
+    const summary = {
+      created: items.filter(item => item.status === 'created').length,
+      skipped: items.filter(item => item.status === 'skipped').length,
+      failed: items.filter(item => item.status === 'failed').length,
+    };
+    console.log(`[importPlan] ${jobId}: ${summary.created} created, ${summary.skipped} skipped, ${summary.failed} failed`);
+
+    const status = summary.failed === 0 ? 200 : summary.failed === items.length ? 502 : 207;
+    res.status(status).json({
+      success: summary.failed === 0,
+      data: { jobId, account: email, calendarId, timeZone, ...summary, items },
+    });
+  } catch (error) {
+    sendCalendarError(res, error, 'importPlan', 'import plan', CALENDAR_NOT_FOUND);
+  }
+}
+
+// RRULE UNTIL for timed events is a UTC date-time ('20261231T235959Z')
+function formatRuleUntil(instant) {
+  return instant.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function toSlot(event) {
+  return {
+    id: event.id,
+    title: event.summary,
+    contentType: privateProperties(event)[CONTENT_TYPE_PROPERTY] || null,
+    recurrence: event.recurrence || [],
+    start: event.start.dateTime || event.start.date,
+    end: event.end.dateTime || event.end.date,
+    timeZone: event.start.timeZone || null,
+    colorId: event.colorId || null,
+    reminders: event.reminders || null,
+    htmlLink: event.htmlLink,
+  };
+}
+
+/**
+ * POST /calendar/slots
+ * Create a recurring posting slot ("Reel every Tue/Thu 19:00") as a repeating InstaFlow event
+ * Body: { days (e.g. ["tue", "thu"]) or recurrence (RRULE lines), time (HH:mm, in timeZone), contentType, title,
+ *         description, durationMinutes (default 30), startDate (YYYY-MM-DD, default today), until (YYYY-MM-DD) or count,
+ *         timeZone, reminders, colorId, account, calendarId }
+ * With days the first slot is the first matching day on or after startDate; with recurrence it is startDate itself.
+ */
+async function createSlot(req, res) {
+  const userId = req.user.uid;
+  const {
+    days,
+    recurrence: requestedRecurrence,
+    time,
+    contentType: requestedContentType,
+    title,
+    description,
+    durationMinutes = 30,
+    startDate: requestedStartDate,
+    until,
+    count,
+    timeZone: requestedTimeZone,
+    reminders: requestedReminders,
+    colorId: requestedColorId,
+    account,
+    calendarId = 'primary',
+  } = req.body || {};
+  try {
+    if (typeof time !== 'string' || !/^(?:[01]\d|2[0-3]):[0-5]\d$/.test(time)) {
+      throw calendarError('CALENDAR_SLOT_INVALID: time must be HH:mm (e.g. 19:00)');
+    }
+    if (requestedRecurrence !== undefined && (days !== undefined || until !== undefined || count !== undefined)) {
+      throw calendarError('CALENDAR_SLOT_INVALID: Use days (with until or count) or recurrence, not both');
+    }
+    if (requestedStartDate !== undefined && !isValidDate(requestedStartDate)) {
+      throw calendarError('CALENDAR_DATE_INVALID: startDate must be a date (YYYY-MM-DD)');
+    }
+    if (until !== undefined && !isValidDate(until)) {
+      throw calendarError('CALENDAR_DATE_INVALID: until must be a date (YYYY-MM-DD)');
+    }
+    if (count !== undefined && (!Number.isInteger(count) || count < 1 || count > 730)) {
+      throw calendarError('CALENDAR_SLOT_INVALID: count must be an integer between 1 and 730');
+    }
+    if (until !== undefined && count !== undefined) {
+      throw calendarError('CALENDAR_SLOT_INVALID: Use until or count, not both');
+    }
+    if (!Number.isInteger(durationMinutes) || durationMinutes < 5 || durationMinutes > 720) {
+      throw calendarError('CALENDAR_EVENT_INVALID: durationMinutes must be an integer between 5 and 720');
+    }
+    validateTimeZone(requestedTimeZone);
+    const weekdays = requestedRecurrence === undefined ? parseWeekdays(days) : null;
+    const customRecurrence = parseRecurrence(requestedRecurrence);
+    const reminders = parseReminders(requestedReminders);
+    const contentType = parseContentType(requestedContentType);
+    const colorId = resolveColorId(requestedColorId, contentType);
+
+    const { client, email } = await getAuthorizedClient(userId, account);
+    const calendar = calendarApi(client);
+    const timeZone = await resolveTimeZone(calendar, calendarId, userId, requestedTimeZone);
+
+    const startDate = requestedStartDate || toZonedParts(new Date(), timeZone).date;
+    let firstDate = startDate;
+    let recurrence = customRecurrence;
+    if (weekdays) {
+      const daysAhead = Math.min(...weekdays.map(code => (WEEKDAY_CODES.indexOf(code) - weekdayOf(startDate) + 7) % 7));
+      firstDate = addDays(startDate, daysAhead);
+      if (until !== undefined && until < firstDate) {
+        throw calendarError(`CALENDAR_SLOT_INVALID: until is before the first slot (${firstDate})`);
+      }
+      // UNTIL is inclusive: the last slot can be on the until date itself
+      const limit = until !== undefined
+        ? `;UNTIL=${formatRuleUntil(new Date(zonedTimeToUtc(addDays(until, 1), '00:00', timeZone).getTime() - 1000))}`
+        : count !== undefined ? `;COUNT=${count}` : '';
+      recurrence = [`RRULE:FREQ=WEEKLY;BYDAY=${weekdays.join(',')}${limit}`];
+    }
+
+    const start = zonedTimeToUtc(firstDate, time, timeZone);
+    const end = new Date(start.getTime() + durationMinutes * 60 * 1000);
+    const label = contentType ? `${contentType[0].toUpperCase()}${contentType.slice(1).replace('-', ' ')}` : 'Posting';
+
+    const response = await calendar.events.insert({
+      calendarId,
+      requestBody: {
+        summary: title || `${label} slot`,
+        description: description || 'Posting slot scheduled via InstaFlow',
+        start: { dateTime: start.toISOString(), timeZone },
+        end: { dateTime: end.toISOString(), timeZone },
+        recurrence,
+        ...(reminders && { reminders }),
+        ...(colorId && { colorId }),
+        extendedProperties: {
+          private: {
+            [INSTAFLOW_PROPERTY]: 'true',
+            [SLOT_PROPERTY]: 'true',
+            ...(contentType && { [CONTENT_TYPE_PROPERTY]: contentType }),
+          },
+        },
+      },
+    });
+
+    console.log(`[createSlot] ✅ Slot created: ${response.data.id} in ${email} ${calendarId} (${recurrence.join(' ')}, ${time} ${timeZone})`);
+    res.json({ success: true, data: { ...toSlot(response.data), account: email, calendarId } });
+  } catch (error) {
+    sendCalendarError(res, error, 'createSlot', 'create slot', CALENDAR_NOT_FOUND);
+  }
+}
+
+/**
+ * GET /calendar/slots
+ * Recurring slots that still have upcoming occurrences
+ * Query: account, calendarId (default primary), contentType
+ */
+async function listSlots(req, res) {
+  const userId = req.user.uid;
+  const { account, calendarId = 'primary', contentType: requestedContentType } = req.query;
+  try {
+    const contentType = parseContentType(requestedContentType);
+    const { client, email } = await getAuthorizedClient(userId, account);
+    const response = await calendarApi(client).events.list({
+      calendarId,
+      timeMin: new Date().toISOString(),
+      singleEvents: false,
+      maxResults: 250,
+      privateExtendedProperty: [`${SLOT_PROPERTY}=true`, ...(contentType ? [`${CONTENT_TYPE_PROPERTY}=${contentType}`] : [])],
+    });
+
+    // Without singleEvents Google also returns edited single occurrences; only the series are slots
+    const slots = (response.data.items || []).filter(event => event.recurrence && event.status !== 'cancelled').map(toSlot);
+    res.json({ success: true, data: { account: email, calendarId, slots } });
+  } catch (error) {
+    sendCalendarError(res, error, 'listSlots', 'list slots', CALENDAR_NOT_FOUND);
+  }
+}
+
+/**
+ * GET /calendar/slots/occurrences
+ * Upcoming slot occurrences and whether a post fills them
+ * An occurrence is filled by an InstaFlow event (not a slot) starting within it, of the same content type when both have one.
+ * Query: account, calendarId (default primary), from/to (default now and 14 days later, at most 92 days; local
+ *        date-times are read in timeZone, see resolveTimeZone), status (all (default), empty), contentType
+ */
+async function listSlotOccurrences(req, res) {
+  const userId = req.user.uid;
+  const {
+    account, calendarId = 'primary', from, to, status = 'all', contentType: requestedContentType, timeZone: requestedTimeZone,
+  } = req.query;
+  try {
+    validateTimeZone(requestedTimeZone);
+    if (!['all', 'empty'].includes(status)) {
+      throw calendarError('CALENDAR_STATUS_INVALID: status must be all or empty');
+    }
+    const contentType = parseContentType(requestedContentType);
+
+    const { client, email } = await getAuthorizedClient(userId, account);
+    const calendar = calendarApi(client);
+    const timeZone = await resolveTimeZone(calendar, calendarId, userId, requestedTimeZone);
+    const { timeMin, timeMax } = parseRange(from, to, timeZone, DEFAULT_SLOT_RANGE_DAYS, MAX_SLOT_RANGE_DAYS);
+    const range = {
+      calendarId,
+      timeMin: timeMin.toISOString(),
+      timeMax: timeMax.toISOString(),
+      singleEvents: true,
+      orderBy: 'startTime',
+      maxResults: 2500,
+    };
+    const [slotResponse, eventResponse] = await Promise.all([
+      calendar.events.list({
+        ...range,
+        privateExtendedProperty: [`${SLOT_PROPERTY}=true`, ...(contentType ? [`${CONTENT_TYPE_PROPERTY}=${contentType}`] : [])],
+      }),
+      calendar.events.list({ ...range, privateExtendedProperty: INSTAFLOW_FILTER }),
+    ]);
+
+    const posts = (eventResponse.data.items || []).filter(event => !isSlotEvent(event) && event.start.dateTime);
+    const occurrences = (slotResponse.data.items || [])
+      .filter(occurrence => occurrence.start.dateTime)
+      .map((occurrence) => {
+        const start = new Date(occurrence.start.dateTime);
+        const end = new Date(occurrence.end.dateTime);
+        const slotType = privateProperties(occurrence)[CONTENT_TYPE_PROPERTY] || null;
+        const filledBy = posts
+          .filter((post) => {
+            const postStart = new Date(post.start.dateTime);
+            const postType = privateProperties(post)[CONTENT_TYPE_PROPERTY];
+            return postStart >= start && postStart < end && (!slotType || !postType || postType === slotType);
+          })
+          .map(post => post.id);
+        return {
+          slotId: occurrence.recurringEventId || occurrence.id,
+          occurrenceId: occurrence.id,
+          title: occurrence.summary,
+          contentType: slotType,
+          start: occurrence.start.dateTime,
+          end: occurrence.end.dateTime,
+          timeZone: occurrence.start.timeZone || null,
+          filled: filledBy.length > 0,
+          filledBy,
+        };
+      });
+
+    res.json({
+      success: true,
+      data: {
+        account: email,
+        calendarId,
+        timeZone,
+        from: timeMin.toISOString(),
+        to: timeMax.toISOString(),
+        empty: occurrences.filter(occurrence => !occurrence.filled).length,
+        occurrences: status === 'empty' ? occurrences.filter(occurrence => !occurrence.filled) : occurrences,
+        // More than 2500 events in the range; narrow it to see the rest
+        truncated: Boolean(slotResponse.data.nextPageToken || eventResponse.data.nextPageToken),
+      },
+    });
+  } catch (error) {
+    sendCalendarError(res, error, 'listSlotOccurrences', 'list slot occurrences', CALENDAR_NOT_FOUND);
+  }
+}
+
+function integerOption(value, name, fallback, min, max) {
+  if (value === undefined) return fallback;
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw calendarError(`CALENDAR_SUGGEST_INVALID: ${name} must be an integer between ${min} and ${max}`);
+  }
+  return value;
+}
+
+function parseWorkingHours(value = {}) {
+  const { start, end, days } = { ...DEFAULT_WORKING_HOURS, ...value };
+  const timeFormat = /^(?:[01]\d|2[0-3]):[0-5]\d$/;
+  if (!timeFormat.test(start) || !timeFormat.test(end) || start >= end) {
+    throw calendarError('CALENDAR_SUGGEST_INVALID: workingHours start and end must be HH:mm with start before end');
+  }
+  const weekdays = Array.isArray(days) ? days.map(parseWeekday) : [];
+  if (weekdays.length === 0 || weekdays.includes(-1)) {
+    throw calendarError('CALENDAR_SUGGEST_INVALID: workingHours days must list weekdays (e.g. ["mon", "tue"])');
+  }
+  return { start, end, days: weekdays };
+}
+
+/**
+ * Busy time of the calendars suggestions have to avoid
+ * Without account every connected account's own calendars count; an account that fails is reported, not fatal,
+ * unless it was asked for or no account answered
+ */
+async function collectBusyTime(userId, account, calendarIds, timeMin, timeMax) {
+  const connected = account || calendarIds ? [] : await listAccounts(userId);
+  // Not connected at all: the lookup fails with GOOGLE_NOT_CONNECTED below
+  const accounts = connected.length > 0 ? connected : [{ email: account }];
+  const sources = await Promise.all(accounts.map(async (connected) => {
+    try {
+      const { client, email } = await getAuthorizedClient(userId, connected.email || undefined);
+      const calendar = calendarApi(client);
+      const ids = calendarIds || (await fetchCalendarList(calendar))
+        .filter(entry => entry.primary || entry.accessRole === 'owner')
+        .map(entry => entry.id);
+
+      const { data } = await calendar.freebusy.query({
+        requestBody: {
+          timeMin: timeMin.toISOString(),
+          timeMax: timeMax.toISOString(),
+          items: ids.slice(0, MAX_FREEBUSY_CALENDARS).map(id => ({ id })),
+        },
+      });
+      const busy = [];
+      const errors = [];
+      for (const [id, entry] of Object.entries(data.calendars || {})) {
+        if (entry.errors && entry.errors.length > 0) {
+          errors.push(`${id}: ${entry.errors.map(item => item.reason).join(', ')}`);
+        }
+        busy.push(...(entry.busy || []).map(interval => ({ start: new Date(interval.start), end: new Date(interval.end) })));
+      }
+      return { account: email, calendar, calendarIds: ids, busy, errors };
+    } catch (error) {
+      if (account || calendarIds) throw error;
+      console.error('[suggestSlots] Free/busy failed for userId:', userId, 'account:', connected.email, error.message);
+      return { account: connected.email, calendarIds: [], busy: [], errors: [error.message], failure: error };
+    }
+  }));
+
+  if (sources.every(source => source.failure)) {
+    throw sources[0].failure;
+  }
+  return sources;
+}
+
+function toLocal(instant, timeZone) {
+  const { date, time } = toZonedParts(instant, timeZone);
+  return `${date} ${time}`;
+}
+
+/**
+ * POST /calendar/suggest-slots
+ * Ranked open slots to produce and then publish posts, from Google free/busy and the AI's recommended posting times
+ * Body: { jobId (completed strategy or calendar job) or postingTimes (e.g. ["Tue 7 PM", "12:30 PM IST"], default 18:00),
+ *         days (default 7, at most 30), minLeadMinutes (default 60), productionMinutes (default 120),
+ *         publishMinutes (default 15), bufferMinutes (default 60), limit (default 5, at most 20),
+ *         workingHours ({ start, end, days }, default 09:00-18:00 Mon-Fri), timeZone, account, calendarIds }
+ * Production blocks fall within working hours; publish times follow the posting windows. Both avoid busy time.
+ */
+async function suggestSlots(req, res) {
+  const userId = req.user.uid;
+  const options = req.body || {};
+  const { jobId, postingTimes, timeZone: requestedTimeZone, account, calendarIds, workingHours: requestedWorkingHours } = options;
+  try {
+    if (jobId !== undefined && postingTimes !== undefined) {
+      throw calendarError('CALENDAR_SUGGEST_INVALID: Use jobId or postingTimes, not both');
+    }
+    if (postingTimes !== undefined && (!Array.isArray(postingTimes) || postingTimes.length === 0 || postingTimes.length > 10
+      || !postingTimes.every(text => typeof text === 'string'))) {
+      throw calendarError('CALENDAR_SUGGEST_INVALID: postingTimes must list 1 to 10 times (e.g. ["Tue 7 PM", "12:30 PM IST"])');
+    }
+    if (calendarIds !== undefined && (!Array.isArray(calendarIds) || calendarIds.length === 0
+      || calendarIds.length > MAX_FREEBUSY_CALENDARS || !calendarIds.every(id => typeof id === 'string' && id))) {
+      throw calendarError(`CALENDAR_SUGGEST_INVALID: calendarIds must list 1 to ${MAX_FREEBUSY_CALENDARS} calendar ids`);
+    }
+    validateTimeZone(requestedTimeZone);
+    const days = integerOption(options.days, 'days', 7, 1, 30);
+    const minLeadMinutes = integerOption(options.minLeadMinutes, 'minLeadMinutes', 60, 0, 7 * 24 * 60);
+    const productionMinutes = integerOption(options.productionMinutes, 'productionMinutes', 120, 15, 720);
+    const publishMinutes = integerOption(options.publishMinutes, 'publishMinutes', 15, 5, 120);
+    const bufferMinutes = integerOption(options.bufferMinutes, 'bufferMinutes', 60, 0, 24 * 60);
+    const limit = integerOption(options.limit, 'limit', 5, 1, 20);
+    const workingHours = parseWorkingHours(requestedWorkingHours);
+    const job = jobId ? await getPlanJob(jobId, userId, ['strategy', 'calendar']) : null;
+
+    const from = new Date(Date.now() + minLeadMinutes * 60 * 1000);
+    const to = new Date(from.getTime() + days * DAY_MS);
+    const sources = await collectBusyTime(userId, account, calendarIds, from, to);
+    const answered = sources.find(source => !source.failure);
+    const timeZone = await resolveTimeZone(answered.calendar, 'primary', userId, requestedTimeZone);
+
+    // Times without a zone are the user's own; the AI jobs give IST
+    const windows = job ? postingWindowsFromJob(job) : parsePostingWindows(postingTimes || [DEFAULT_POST_TIME], timeZone);
+    if (windows.length === 0) {
+      throw calendarError(`PLAN_EMPTY: ${jobId ? `Job ${jobId} has no` : 'postingTimes has no readable'} posting times`, 422);
+    }
+
+    const suggestions = findSlots({
+      busy: sources.flatMap(source => source.busy),
+      windows,
+      from,
+      to,
+      timeZone,
+      workingHours,
+      productionMinutes,
+      publishMinutes,
+      bufferMinutes,
+      limit,
+    });
+    console.log(`[suggestSlots] ${suggestions.length} suggestions for userId: ${userId} from ${windows.length} windows, ${sources.length} accounts (${timeZone})`);
+
+    res.json({
+      success: true,
+      data: {
+        timeZone,
+        from: from.toISOString(),
+        to: to.toISOString(),
+        windows: windows.map(window => window.label),
+        calendars: sources.map(({ account: email, calendarIds: ids, errors }) => ({ account: email, calendarIds: ids, errors })),
+        suggestions: suggestions.map(({ publish, production }, index) => ({
+          rank: index + 1,
+          publish: {
+            start: publish.start.toISOString(),
+            end: publish.end.toISOString(),
+            local: toLocal(publish.start, timeZone),
+            window: publish.window,
+          },
+          production: {
+            start: production.start.toISOString(),
+            end: production.end.toISOString(),
+            local: toLocal(production.start, timeZone),
+          },
+        })),
+      },
+    });
+  } catch (error) {
+    sendCalendarError(res, error, 'suggestSlots', 'suggest slots', CALENDAR_NOT_FOUND);
+  }
+}
+
+/**
+ * GET /calendar/preferences
+ * The user's scheduling preferences ({ timeZone }, null until chosen)
+ */
+async function getCalendarPreferences(req, res) {
+  try {
+    res.json({ success: true, data: await getPreferences(req.user.uid) });
+  } catch (error) {
+    console.error('[getCalendarPreferences] ERROR:', error.message);
+    res.status(500).json({ success: false, error: `Failed to load preferences: ${error.message}` });
+  }
+}
+
+/**
+ * PUT /calendar/preferences
+ * Body: { timeZone } - IANA zone used for new events and local date-times, null to fall back to the calendar's
+ */
+async function updateCalendarPreferences(req, res) {
+  const { timeZone } = req.body || {};
+  try {
+    if (timeZone === undefined) {
+      throw calendarError('PREFERENCES_EMPTY_UPDATE: Provide timeZone');
+    }
+    res.json({ success: true, data: await updatePreferences(req.user.uid, { timeZone }) });
+  } catch (error) {
+    if (error.statusCode) {
+      return sendCodedError(res, error);
+    }
+    console.error('[updateCalendarPreferences] ERROR:', error.message);
+    res.status(500).json({ success: false, error: `Failed to save preferences: ${error.message}` });
   }
 }
 
-module.exports = { createCalendarEvent };
+module.exports = {
+  createCalendarEvent,
+  listCalendars,
+  listCalendarEvents,
+  getCalendarEvent,
+  updateCalendarEvent,
+  deleteCalendarEvent,
+  importPlan,
+  createSlot,
+  listSlots,
+  listSlotOccurrences,
+  suggestSlots,
+  getCalendarPreferences,
+  updateCalendarPreferences,
+};
 
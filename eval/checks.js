@@ -0,0 +1,150 @@
+/**
+ * Rule-based checks for the eval runner (scripts/eval.js)
+ *
+ * Each job type maps to a function (output, input) -> [{ name, pass, detail }].
+ * Limits follow what the prompts ask for (prompts/<id>/v<N>.txt), so a prompt change
+ * that stops the model from following its own instructions shows up as a failed check.
+ */
+
+// Bio length limits per style (prompts/bio styleGuide; Instagram caps bios at 150 characters)
+const BIO_LENGTH = {
+  short: { max: 150 },
+  long: { min: 200, max: 300 },
+  aesthetic: { max: 150 },
+};
+
+function check(name, pass, detail = '') {
+  return { name, pass: Boolean(pass), detail: pass ? '' : detail };
+}
+
+function count(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+function isHashtag(tag) {
+  return typeof tag === 'string' && /^#[^\s#]+$/.test(tag);
+}
+
+function countCheck(name, list, expected) {
+  const actual = Array.isArray(list) ? list.length : 0;
+  return check(name, actual === expected, `expected ${expected}, got ${actual}`);
+}
+
+function hashtagsCheck(name, tags) {
+  const invalid = (tags || []).filter(tag => !isHashtag(tag));
+  return check(name, invalid.length === 0, `not a hashtag: ${invalid.slice(0, 3).join(', ')}`);
+}
+
+function uniqueCheck(name, list) {
+  const normalized = (list || []).map(item => String(item).toLowerCase());
+  const duplicates = normalized.filter((item, index) => normalized.indexOf(item) !== index);
+  return check(name, duplicates.length === 0, `duplicates: ${[...new Set(duplicates)].slice(0, 3).join(', ')}`);
+}
+
+const checks = {
+  captions: (captions) => {
+    // 3–6 hashtags per caption, as the captions-system prompt requires
+    const badHashtagCounts = (captions || [])
+      .map((caption, index) => ({ index, total: (caption.hashtags || []).length }))
+      .filter(({ total }) => total < 3 || total > 6);
+    return [
+      countCheck('caption_count', captions, 3),
+      check('hashtags_per_caption', badHashtagCounts.length === 0,
+        badHashtagCounts.map(({ index, total }) => `caption ${index + 1} has ${total}`).join(', ')),
+      hashtagsCheck('hashtags_prefixed', (captions || []).flatMap(caption => caption.hashtags || [])),
+      check('no_hashtags_in_text', (captions || []).every(caption => !/(^|\s)#\w/.test(caption.text || '')),
+        'caption text contains hashtags'),
+      uniqueCheck('captions_distinct', (captions || []).map(caption => caption.text)),
+    ];
+  },
+
+  calendar: (days, input) => [
+    countCheck('day_count', days, count(input.days, 7)),
+    check('hashtags_per_day', (days || []).every(day => (day.hashtag_set || []).length >= 5),
+      'some days have fewer than 5 hashtags'),
+  ],
+
+  strategy: (strategy) => [
+    check('viral_ideas', ((strategy && strategy.viral_content_ideas) || []).length >= 3, 'fewer than 3 viral content ideas'),
+    check('hashtag_tiers', ['low_comp', 'mid_comp', 'high_comp']
+      .every(tier => ((strategy && strategy.hashtag_strategy && strategy.hashtag_strategy[tier]) || []).length > 0),
+    'empty hashtag tier'),
+  ],
+
+  analyze: (analysis) => [
+    countCheck('viral_pattern_count', analysis && analysis.top_5_viral_patterns, 5),
+    countCheck('reel_format_count', analysis && analysis.best_3_reel_formats, 3),
+  ],
+
+  'reels-script': (script) => [
+    check('has_hook', script && script.hook, 'missing hook'),
+    check('has_full_script', script && script.fullScript && script.fullScript.length > 20, 'missing or very short full script'),
+    countCheck('hashtag_count', script && script.hashtags, 10),
+    hashtagsCheck('hashtags_prefixed', script && script.hashtags),
+  ],
+
+  'post-ideas': (ideas, input) => [
+    countCheck('idea_count', ideas, count(input.count, 5)),
+    uniqueCheck('titles_distinct', (ideas || []).map(idea => idea.title)),
+  ],
+
+  hashtags: (tags, input) => [
+    countCheck('hashtag_count', tags, count(input.count, 20)),
+    hashtagsCheck('hashtags_prefixed', tags),
+    uniqueCheck('hashtags_distinct', tags),
+  ],
+
+  bio: (bio, input) => {
+    const limits = BIO_LENGTH[input.style] || BIO_LENGTH.short;
+    const length = typeof bio === 'string' ? [...bio].length : 0;
+    return [
+      check('bio_length', length >= (limits.min || 1) && length <= limits.max,
+        `${length} characters, expected ${limits.min || 1}-${limits.max} for ${input.style || 'short'}`),
+    ];
+  },
+
+  hooks: (hooks, input) => [
+    countCheck('hook_count', hooks, count(input.count, 5)),
+    check('hook_length', (hooks || []).every(hook => hook.length <= 100), 'hook longer than 100 characters'),
+    uniqueCheck('hooks_distinct', hooks),
+  ],
+
+  'comment-reply': (reply) => [
+    check('reply_length', typeof reply === 'string' && reply.length >= 5 && reply.length <= 300,
+      `${typeof reply === 'string' ? reply.length : 0} characters, expected 5-300`),
+  ],
+
+  trends: (trends) => [
+    countCheck('hashtag_count', trends && trends.hashtags, 20),
+    countCheck('topic_count', trends && trends.topics, 10),
+    countCheck('idea_count', trends && trends.ideas, 10),
+    hashtagsCheck('hashtags_prefixed', trends && trends.hashtags),
+  ],
+
+  carousel: (carousel, input) => {
+    const slides = (carousel && carousel.slides) || [];
+    return [
+      countCheck('slide_count', slides, count(input.slides, 5)),
+      check('slides_numbered', slides.every((slide, index) => slide.slideNumber === index + 1), 'slide numbers are not 1..n'),
+    ];
+  },
+};
+
+/**
+ * Score a finished eval job
+ * @param {object} job - Job from the job store
+ * @param {object} input - Dataset input the job was created with
+ * @returns {Array<{ name, pass, detail }>}
+ */
+function runChecks(job, input) {
+  // JSON validity: the job only completes when the output matched its schema (utils/structuredOutput.js)
+  const jsonValid = check('json_valid', job.status === 'completed', job.error || `job ${job.status}`);
+  if (!jsonValid.pass) {
+    return [jsonValid];
+  }
+  const typeChecks = checks[job.type];
+  return [jsonValid, ...(typeChecks ? typeChecks(job.result, input) : [])];
+}
+
+module.exports = { runChecks, jobTypes: Object.keys(checks) };
@@ -0,0 +1,65 @@
+const { verifyIdToken } = require('../utils/firebaseAuth');
+
+/**
+ * How callers are identified (AUTH_MODE):
+ *   firebase - verified Firebase ID tokens (default when FIREBASE_PROJECT_ID is set, and in production)
+ *   header   - trust X-User-UID / ?userId= as before, for local development without Firebase
+ */
+function getAuthMode() {
+  const mode = (process.env.AUTH_MODE || '').trim().toLowerCase();
+  if (mode) return mode;
+  return process.env.FIREBASE_PROJECT_ID || process.env.NODE_ENV === 'production' ? 'firebase' : 'header';
+}
+
+function getBearerToken(req) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  if (match) return match[1].trim();
+  // EventSource cannot set headers, so SSE endpoints may pass the token as ?access_token=
+  return req.query?.access_token || null;
+}
+
+/**
+ * Identify the caller and populate req.user ({ uid, email, verified, claims }), null for anonymous requests
+ * A token that fails verification is rejected with 401 rather than treated as anonymous
+ */
+async function authenticate(req, res, next) {
+  req.user = null;
+
+  if (getAuthMode() === 'header') {
+    const uid = req.headers['x-user-uid'] || req.headers['x-user-id'] || req.query?.userId || req.body?.userId;
+    if (uid) {
+      req.user = { uid: String(uid), email: null, verified: false, claims: null };
+    }
+    return next();
+  }
+
+  const token = getBearerToken(req);
+  if (!token) return next();
+
+  try {
+    const claims = await verifyIdToken(token);
+    req.user = { uid: claims.uid, email: claims.email || null, verified: true, claims };
+    next();
+  } catch (error) {
+    console.warn(`[authenticate] Rejected ${req.method} ${req.path}: ${error.message}`);
+    res.status(error.statusCode || 401).json({ success: false, error: error.message, errorCode: error.code });
+  }
+}
+
+/**
+ * Reject anonymous requests (after authenticate)
+ */
+function requireUser(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      error: getAuthMode() === 'header'
+        ? 'Missing userId/Firebase UID. Please login first.'
+        : 'AUTH_REQUIRED: Send a Firebase ID token as Authorization: Bearer <token>',
+      errorCode: 'AUTH_REQUIRED',
+    });
+  }
+  next();
+}
+
+module.exports = { authenticate, requireUser, getAuthMode };
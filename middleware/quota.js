@@ -0,0 +1,78 @@
+const { consumeQuota, refundQuota, getQuota } = require('../utils/quotas');
+
+/**
+ * Who a request's quota is charged to: the authenticated user (middleware/auth.js), or the client IP for anonymous requests
+ */
+function getQuotaSubject(req) {
+  return req.user ? req.user.uid : `ip:${req.ip}`;
+}
+
+function setQuotaHeaders(res, quota) {
+  res.set('X-Quota-Plan', quota.plan);
+  res.set('X-Quota-Limit', String(quota.limit));
+  res.set('X-Quota-Remaining', String(quota.remaining));
+  res.set('X-Quota-Reset', String(Math.floor(Date.parse(quota.resetAt) / 1000)));
+}
+
+/**
+ * Charge a generation request against the caller's daily quota (utils/quotas.js)
+ * Answers 429 with Retry-After (seconds until the daily reset) when the quota is used up;
+ * every response carries the remaining quota in X-Quota-* headers. Requests the handler rejects
+ * (4xx/5xx, e.g. missing input) are refunded
+ * @param {string} jobType - Job type whose weight the request costs
+ * @returns {function} - Express middleware
+ */
+function enforceQuota(jobType) {
+  return async function quotaMiddleware(req, res, next) {
+    const subject = getQuotaSubject(req);
+    let quota;
+    try {
+      quota = await consumeQuota(subject, jobType);
+    } catch (error) {
+      // A storage outage should not take generation down with it
+      console.error(`[enforceQuota] Quota check failed for ${subject}, allowing request:`, error.message);
+      return next();
+    }
+    if (!quota) return next();
+
+    setQuotaHeaders(res, quota);
+    if (!quota.allowed) {
+      console.warn(`[enforceQuota] ${subject} over quota for ${jobType} (${quota.used}/${quota.limit} units, ${quota.plan} plan)`);
+      res.set('Retry-After', String(quota.retryAfterSeconds));
+      return res.status(429).json({
+        success: false,
+        error: `QUOTA_EXCEEDED: Daily quota of ${quota.limit} units used (${quota.plan} plan), ${jobType} costs ${quota.cost}`,
+        errorCode: 'QUOTA_EXCEEDED',
+        quota: { plan: quota.plan, limit: quota.limit, used: quota.used, remaining: quota.remaining, resetAt: quota.resetAt },
+      });
+    }
+
+    res.on('finish', () => {
+      if (res.statusCode >= 400) {
+        refundQuota(subject, quota.cost)
+          .catch((error) => console.error(`[enforceQuota] Refund failed for ${subject}:`, error.message));
+      }
+    });
+    next();
+  };
+}
+
+/**
+ * GET /ai/quota
+ * The caller's plan and remaining daily quota
+ */
+async function getQuotaStatus(req, res) {
+  try {
+    const quota = await getQuota(getQuotaSubject(req));
+    if (!quota) {
+      return res.json({ success: true, enabled: false });
+    }
+    setQuotaHeaders(res, quota);
+    res.json({ success: true, enabled: true, quota });
+  } catch (error) {
+    console.error('[getQuotaStatus] ERROR:', error.message);
+    res.status(500).json({ success: false, error: 'Failed to read quota', details: error.message });
+  }
+}
+
+module.exports = { enforceQuota, getQuotaStatus, getQuotaSubject };
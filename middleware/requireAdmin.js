@@ -0,0 +1,22 @@
+const crypto = require('crypto');
+
+/**
+ * Protect admin endpoints with a shared key
+ * Requests must send X-Admin-Key matching ADMIN_API_KEY; without ADMIN_API_KEY admin endpoints are disabled
+ */
+function requireAdmin(req, res, next) {
+  const adminKey = (process.env.ADMIN_API_KEY || '').trim();
+  if (!adminKey) {
+    return res.status(503).json({ success: false, error: 'Admin endpoints are disabled (ADMIN_API_KEY not set)' });
+  }
+
+  const provided = Buffer.from(req.headers['x-admin-key'] || '');
+  const expected = Buffer.from(adminKey);
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    console.warn(`[requireAdmin] Rejected ${req.method} ${req.originalUrl}: invalid admin key`);
+    return res.status(401).json({ success: false, error: 'Invalid admin key' });
+  }
+  next();
+}
+
+module.exports = { requireAdmin };
@@ -0,0 +1,14 @@
+const express = require('express');
+const { requireAdmin } = require('../middleware/requireAdmin');
+const { getUsageReport, getUserPlan, setUserPlan, getAuthEvents } = require('../controllers/adminController');
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+router.get('/usage', getUsageReport);
+router.get('/plans/:userId', getUserPlan);
+router.put('/plans/:userId', setUserPlan);
+router.get('/auth-events/:userId', getAuthEvents);
+
+module.exports = router;
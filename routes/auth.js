@@ -1,11 +1,15 @@
 const express = require('express');
-const { getAuthUrl, handleCallback, getStatus } = require('../controllers/authController');
+const { getAuthUrl, handleCallback, getStatus, getAccounts, disconnect } = require('../controllers/authController');
+const { requireUser } = require('../middleware/auth');
 
 const router = express.Router();
 
-router.get('/url', getAuthUrl);
+router.get('/url', requireUser, getAuthUrl);
+// Google redirects here without our credentials; the user comes from the OAuth state
 router.get('/callback', handleCallback);
-router.get('/status', getStatus);
+router.get('/status', requireUser, getStatus);
+router.get('/accounts', requireUser, getAccounts);
+router.post('/disconnect', requireUser, disconnect);
 
 module.exports = router;
 
@@ -1,9 +1,38 @@
 const express = require('express');
-const { createCalendarEvent } = require('../controllers/calendarController');
+const {
+  createCalendarEvent,
+  listCalendars,
+  listCalendarEvents,
+  getCalendarEvent,
+  updateCalendarEvent,
+  deleteCalendarEvent,
+  importPlan,
+  createSlot,
+  listSlots,
+  listSlotOccurrences,
+  suggestSlots,
+  getCalendarPreferences,
+  updateCalendarPreferences,
+} = require('../controllers/calendarController');
+const { requireUser } = require('../middleware/auth');
 
 const router = express.Router();
 
+router.use(requireUser);
+
+router.get('/calendars', listCalendars);
 router.post('/create', createCalendarEvent);
+router.get('/events', listCalendarEvents);
+router.get('/events/:id', getCalendarEvent);
+router.patch('/events/:id', updateCalendarEvent);
+router.delete('/events/:id', deleteCalendarEvent);
+router.post('/import-plan', importPlan);
+router.get('/slots', listSlots);
+router.post('/slots', createSlot);
+router.get('/slots/occurrences', listSlotOccurrences);
+router.post('/suggest-slots', suggestSlots);
+router.get('/preferences', getCalendarPreferences);
+router.put('/preferences', updateCalendarPreferences);
 
 module.exports = router;
 
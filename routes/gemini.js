@@ -15,29 +15,52 @@ const {
   generateCommentReply,
   generateTrends,
   generateCarousel,
-  getJobStatus
+  getJobStatus,
+  streamJobStatus,
+  streamUserJobs,
+  listPrompts,
+  submitFeedback,
+  getExperimentReport
 } = require('../controllers/geminiController');
+const { enforceQuota, getQuotaStatus } = require('../middleware/quota');
+const { requireUser } = require('../middleware/auth');
+const { requireAdmin } = require('../middleware/requireAdmin');
 
 const router = express.Router();
 
 // AI Generation Endpoints (all return jobId immediately, non-blocking)
-router.post('/captions', generateCaptions);
-router.post('/image-captions', generateImageCaptions);
-router.post('/caption-from-media', generateCaptionFromMedia);
-router.post('/calendar', generateCalendar);
-router.post('/strategy', generateStrategy);
-router.post('/analyze', analyzeNiche);
-router.post('/reels-script', generateReelsScript);
-router.post('/post-ideas', generatePostIdeas);
-router.post('/hashtags', generateHashtags);
-router.post('/bio', generateBio);
-router.post('/hooks', generateHooks);
-router.post('/comment-reply', generateCommentReply);
-router.post('/trends', generateTrends);
-router.post('/carousel', generateCarousel);
+// Each request is charged against the caller's daily quota (utils/quotas.js, weights in quotas.json)
+router.post('/captions', enforceQuota('captions'), generateCaptions);
+router.post('/image-captions', enforceQuota('image-captions'), generateImageCaptions);
+router.post('/caption-from-media', enforceQuota('caption-from-media'), generateCaptionFromMedia);
+router.post('/calendar', enforceQuota('calendar'), generateCalendar);
+router.post('/strategy', enforceQuota('strategy'), generateStrategy);
+router.post('/analyze', enforceQuota('analyze'), analyzeNiche);
+router.post('/reels-script', enforceQuota('reels-script'), generateReelsScript);
+router.post('/post-ideas', enforceQuota('post-ideas'), generatePostIdeas);
+router.post('/hashtags', enforceQuota('hashtags'), generateHashtags);
+router.post('/bio', enforceQuota('bio'), generateBio);
+router.post('/hooks', enforceQuota('hooks'), generateHooks);
+router.post('/comment-reply', enforceQuota('comment-reply'), generateCommentReply);
+router.post('/trends', enforceQuota('trends'), generateTrends);
+router.post('/carousel', enforceQuota('carousel'), generateCarousel);
+
+// Caller's plan and remaining quota
+router.get('/quota', getQuotaStatus);
 
 // Unified Job Status Endpoint (for all AI jobs)
 router.get('/job-status/:jobId', getJobStatus);
 
+// Real-time job updates (Server-Sent Events)
+router.get('/job-status/:jobId/stream', streamJobStatus);
+router.get('/jobs/stream', requireUser, streamUserJobs);
+
+// Prompt registry (templates in prompts/)
+router.get('/prompts', listPrompts);
+
+// Experiments: output feedback and per-variant win rates
+router.post('/feedback', submitFeedback);
+router.get('/experiments/report', requireAdmin, getExperimentReport);
+
 module.exports = router;
 
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+/**
+ * Check that the Gemini circuit breaker opens on upstream outages
+ *
+ *   npm run check-circuit
+ *
+ * Points the Gemini client at a local server that answers every request with 503 and expects
+ * GEMINI_CIRCUIT_FAILURE_THRESHOLD consecutive failures to open the circuit: the next call fails
+ * with GEMINI_CIRCUIT_OPEN without reaching the server. Exits with 1 when it does not, or when anything logs a
+ * warning other than the failed calls and the circuit opening.
+ */
+
+const http = require('http');
+
+const FAILURE_THRESHOLD = 3;
+// Warnings the outage is expected to log; any other warning is printed and fails the check
+const EXPECTED_WARNINGS = [
+  /^\[GeminiClient\] \S+ failed after \d+ attempts /,
+  /^\[CircuitBreaker:gemini\] Opening circuit /,
+];
+
+const print = (line = '') => process.stdout.write(`${line}\n`);
+
+function fail(message) {
+  process.stderr.write(`[check-circuit] ${message}\n`);
+  process.exit(1);
+}
+
+function errorCode(error) {
+  const match = /^([A-Z][A-Z0-9_]+):/.exec(error.message || '');
+  return match ? match[1] : null;
+}
+
+let requests = 0;
+const server = http.createServer((req, res) => {
+  requests++;
+  res.writeHead(503, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ error: { code: 503, message: 'The model is overloaded. Please try again later.' } }));
+});
+
+server.listen(0, '127.0.0.1', async () => {
+  // One request per call: a single model, no retries
+  process.env.GEMINI_API_KEY = 'check-circuit';
+  process.env.GEMINI_API_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  process.env.GEMINI_MODEL_CHAIN = 'gemini-3-flash-preview';
+  process.env.GEMINI_MAX_RETRIES = '0';
+  process.env.GEMINI_CIRCUIT_FAILURE_THRESHOLD = String(FAILURE_THRESHOLD);
+  process.env.GEMINI_CIRCUIT_RESET_MS = '60000';
+  process.env.GEMINI_CASSETTE_MODE = 'off';
+
+  const { runGemini, getGeminiHealth } = require('../utils/geminiClient');
+
+  const warn = console.warn;
+  const unexpectedWarnings = [];
+  console.warn = (message, ...rest) => {
+    if (EXPECTED_WARNINGS.some(pattern => pattern.test(String(message)))) return;
+    unexpectedWarnings.push(String(message));
+    warn(message, ...rest);
+  };
+
+  try {
+    for (let call = 1; call <= FAILURE_THRESHOLD + 1; call++) {
+      const error = await runGemini('ping').then(() => fail(`call ${call} succeeded against a 503 upstream`), e => e);
+      const { state } = getGeminiHealth().circuit;
+      const expectedCode = call <= FAILURE_THRESHOLD ? 'GEMINI_API_ERROR' : 'GEMINI_CIRCUIT_OPEN';
+      const expectedState = call < FAILURE_THRESHOLD ? 'closed' : 'open';
+      print(`call ${call}: ${errorCode(error) || error.message} (circuit ${state}, ${requests} upstream requests)`);
+
+      if (errorCode(error) !== expectedCode) {
+        fail(`call ${call} failed with "${error.message}", expected ${expectedCode}`);
+      }
+      if (state !== expectedState) {
+        fail(`circuit is ${state} after ${call} calls, expected ${expectedState}`);
+      }
+    }
+    if (requests !== FAILURE_THRESHOLD) {
+      fail(`upstream got ${requests} requests, expected ${FAILURE_THRESHOLD} (the open circuit must not call it)`);
+    }
+    if (unexpectedWarnings.length > 0) {
+      fail(`unexpected warnings: ${unexpectedWarnings.join('; ')}`);
+    }
+    print(`ok: ${FAILURE_THRESHOLD} consecutive 503s opened the circuit`);
+  } finally {
+    console.warn = warn;
+    server.close();
+  }
+});
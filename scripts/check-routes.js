@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+/**
+ * Replay every /ai/* generation route from a Gemini cassette
+ *
+ *   npm run check-routes                                           # replay eval/cassettes/routes.json
+ *   npm run check-routes -- --cassette my.json --record            # record it (needs GEMINI_API_KEY)
+ *
+ * Serves the app (app.js) on a local port with the Gemini provider reading from the cassette (utils/cassette.js,
+ * exact matching) and drives each route over HTTP the way the app does: POST the request, poll
+ * GET /ai/job-status/:jobId until the job finishes, then score the job with the eval checks (eval/checks.js).
+ * The image routes answer synchronously and are checked on their response.
+ * Options: --verbose (keep server logs). Exits with 1 when a route fails.
+ */
+
+const http = require('http');
+const path = require('path');
+
+const JOB_TIMEOUT_MS = parseInt(process.env.EVAL_JOB_TIMEOUT_MS, 10) || 120000;
+// 8x8 PNG, resized and re-encoded by the image routes (utils/imageProcessor.js)
+const TEST_IMAGE = 'iVBORw0KGgoAAAANSUhEUgAAAAgAAAAICAIAAABLbSncAAAACXBIWXMAAAPoAAAD6AG1e1JrAAAAEUlEQVR4nGO4U2GDFTEMLQkAOxFkASW8RxQAAAAASUVORK5CYII=';
+
+// One request per generation route; job routes are scored with the eval checks for their job type
+const ROUTES = [
+  { path: '/ai/captions', jobType: 'captions', body: { userInput: 'motivational caption for my morning gym reel, energetic, for fitness creators' } },
+  { path: '/ai/image-captions', body: { imageBase64: TEST_IMAGE, imageMimeType: 'image/png' } },
+  { path: '/ai/caption-from-media', body: { imageBase64: TEST_IMAGE, imageMimeType: 'image/png' } },
+  { path: '/ai/calendar', jobType: 'calendar', body: { topic: 'vegan cooking', days: 3 } },
+  { path: '/ai/strategy', jobType: 'strategy', body: { niche: 'home workouts for busy parents' } },
+  { path: '/ai/analyze', jobType: 'analyze', body: { topic: 'budget travel in India' } },
+  { path: '/ai/reels-script', jobType: 'reels-script', body: { userInput: '30 second motivational reel about waking up at 5am, English, for students' } },
+  { path: '/ai/post-ideas', jobType: 'post-ideas', body: { topic: 'learning to code', count: 4 } },
+  { path: '/ai/hashtags', jobType: 'hashtags', body: { topic: 'cat photography' } },
+  { path: '/ai/bio', jobType: 'bio', body: { description: 'travel photographer based in Goa', style: 'short' } },
+  { path: '/ai/hooks', jobType: 'hooks', body: { topic: 'saving money in your 20s' } },
+  { path: '/ai/comment-reply', jobType: 'comment-reply', body: { comment: 'This recipe changed my life, thank you!!', tone: 'friendly' } },
+  { path: '/ai/trends', jobType: 'trends', body: { niche: 'fitness' } },
+  { path: '/ai/carousel', jobType: 'carousel', body: { topic: '5 habits for better sleep' } },
+];
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, '');
+    if (key === 'record' || key === 'verbose') {
+      args[key] = true;
+    } else {
+      args[key] = argv[++i];
+    }
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const cassette = args.cassette || path.join('eval', 'cassettes', 'routes.json');
+
+// Isolated like the eval runner: in-memory stores, no experiments or quotas, X-User-UID callers
+process.env.GEMINI_CASSETTE = cassette;
+process.env.GEMINI_CASSETTE_MODE = args.record ? 'record' : 'replay';
+process.env.GEMINI_API_KEY = process.env.GEMINI_API_KEY || (args.record ? '' : 'replay');
+process.env.LLM_PROVIDER = 'gemini';
+process.env.STORE_BACKEND = 'memory';
+process.env.TOKEN_STORE_BACKEND = 'memory';
+process.env.EXPERIMENTS_FILE = 'off';
+process.env.QUOTAS_FILE = 'off';
+process.env.AUTH_MODE = 'header';
+
+const print = (line = '') => process.stdout.write(`${line}\n`);
+
+if (!args.verbose) {
+  console.log = () => {};
+  console.info = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+}
+
+function request(port, method, urlPath, body) {
+  return new Promise((resolve, reject) => {
+    const payload = body ? JSON.stringify(body) : null;
+    const req = http.request({
+      host: '127.0.0.1',
+      port,
+      method,
+      path: urlPath,
+      headers: { 'X-User-UID': 'check-routes', ...(payload && { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) }) },
+    }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => {
+        try {
+          resolve({ statusCode: res.statusCode, payload: JSON.parse(data) });
+        } catch (error) {
+          reject(new Error(`HTTP ${res.statusCode}: response is not JSON`));
+        }
+      });
+    });
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+async function waitForJob(port, jobId) {
+  const deadline = Date.now() + JOB_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    const { payload } = await request(port, 'GET', `/ai/job-status/${jobId}`);
+    if (payload.status === 'completed' || payload.status === 'failed') {
+      return payload;
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`Job ${jobId} did not finish within ${JOB_TIMEOUT_MS}ms`);
+}
+
+/**
+ * Drive one route
+ * @returns {Promise<Array<{ name, pass, detail }>>} - Check results
+ */
+async function checkRoute(port, route, { runChecks, getJob }) {
+  const { statusCode, payload } = await request(port, 'POST', route.path, route.body);
+  if (!payload.success) {
+    throw new Error(`HTTP ${statusCode}: ${payload.error || 'request failed'}${payload.details ? ` (${payload.details})` : ''}`);
+  }
+
+  if (!route.jobType) {
+    const captions = (payload.data && payload.data.captions) || [];
+    return [{ name: 'captions', pass: captions.length > 0 && captions.every(caption => caption.text), detail: `${captions.length} captions` }];
+  }
+
+  const status = await waitForJob(port, payload.jobId);
+  if (status.status !== 'completed') {
+    throw new Error(`job ${status.status}: ${status.error}`);
+  }
+  return runChecks(await getJob(payload.jobId), route.body);
+}
+
+const app = require('../app');
+const { runChecks } = require('../eval/checks');
+const { getJob } = require('../utils/jobStore');
+
+const server = app.listen(0, '127.0.0.1', async () => {
+  const { port } = server.address();
+  print(`${args.record ? 'Recording' : 'Replaying'} ${ROUTES.length} routes ${args.record ? 'to' : 'from'} ${cassette}`);
+
+  let failed = 0;
+  for (const route of ROUTES) {
+    let checks;
+    try {
+      checks = await checkRoute(port, route, { runChecks, getJob });
+    } catch (error) {
+      checks = [{ name: 'completed', pass: false, detail: error.message }];
+    }
+    const failures = checks.filter(result => !result.pass);
+    if (failures.length > 0) failed++;
+    const detail = failures.map(result => `${result.name}${result.detail ? ` (${result.detail})` : ''}`).join('; ');
+    print(`${failures.length ? '❌' : '✅'} POST ${route.path.padEnd(24)} ${checks.length - failures.length}/${checks.length}${detail ? `  ${detail}` : ''}`);
+  }
+
+  print();
+  print(failed ? `${failed} of ${ROUTES.length} routes failed` : `ok: ${ROUTES.length} routes`);
+  server.close();
+  process.exit(failed ? 1 : 0);
+});
@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+/**
+ * Check the scheduling maths behind the calendar endpoints
+ *
+ *   npm run check-scheduling
+ *
+ * Runs the pure helpers against known answers: wall-clock times across DST changes in America/New_York and
+ * Europe/London (utils/timezone.js), free-text post times and plan placement (utils/planImport.js), recurrence
+ * rules (utils/eventOptions.js) and slot suggestions around busy time (utils/slotFinder.js).
+ * Prints every failed case and exits with 1 when there is one.
+ */
+
+const { zonedTimeToUtc, parseDateTimeInZone } = require('../utils/timezone');
+const { parsePostTime, postTimeToInstant, buildPlanEvents } = require('../utils/planImport');
+const { parseRecurrence } = require('../utils/eventOptions');
+const { parsePostingWindows, findSlots } = require('../utils/slotFinder');
+
+const print = (line = '') => process.stdout.write(`${line}\n`);
+
+let cases = 0;
+const failures = [];
+
+function expectEqual(label, actual, expected) {
+  cases++;
+  const got = JSON.stringify(actual);
+  const want = JSON.stringify(expected);
+  if (got !== want) {
+    failures.push(`${label}: got ${got}, expected ${want}`);
+  }
+}
+
+function expectError(label, fn, code) {
+  cases++;
+  try {
+    fn();
+    failures.push(`${label}: did not throw, expected ${code}`);
+  } catch (error) {
+    if (!error.message.startsWith(`${code}:`) || error.statusCode !== 400) {
+      failures.push(`${label}: threw "${error.message}" (${error.statusCode}), expected ${code} (400)`);
+    }
+  }
+}
+
+const iso = date => (date ? date.toISOString() : date);
+
+// Wall-clock times around DST changes: skipped times move forward, repeated ones take the first occurrence
+const zoned = [
+  ['New York, winter', '2026-01-15', '12:00', 'America/New_York', '2026-01-15T17:00:00.000Z'],
+  ['New York, summer', '2026-07-01', '12:00', 'America/New_York', '2026-07-01T16:00:00.000Z'],
+  ['New York, before spring forward', '2026-03-08', '01:59', 'America/New_York', '2026-03-08T06:59:00.000Z'],
+  ['New York, skipped 02:30', '2026-03-08', '02:30', 'America/New_York', '2026-03-08T07:30:00.000Z'],
+  ['New York, after spring forward', '2026-03-08', '03:00', 'America/New_York', '2026-03-08T07:00:00.000Z'],
+  ['New York, repeated 01:30', '2026-11-01', '01:30', 'America/New_York', '2026-11-01T05:30:00.000Z'],
+  ['New York, after fall back', '2026-11-01', '02:00', 'America/New_York', '2026-11-01T07:00:00.000Z'],
+  ['London, winter', '2026-01-15', '09:00', 'Europe/London', '2026-01-15T09:00:00.000Z'],
+  ['London, skipped 01:30', '2026-03-29', '01:30', 'Europe/London', '2026-03-29T01:30:00.000Z'],
+  ['London, after spring forward', '2026-03-29', '02:00', 'Europe/London', '2026-03-29T01:00:00.000Z'],
+  ['London, repeated 01:30', '2026-10-25', '01:30', 'Europe/London', '2026-10-25T00:30:00.000Z'],
+  ['London, after fall back', '2026-10-25', '02:00', 'Europe/London', '2026-10-25T02:00:00.000Z'],
+];
+for (const [label, date, time, timeZone, expected] of zoned) {
+  expectEqual(`zonedTimeToUtc ${label}`, iso(zonedTimeToUtc(date, time, timeZone)), expected);
+}
+
+const dateTimes = [
+  ['local, London summer', '2026-03-29T19:30', 'Europe/London', '2026-03-29T18:30:00.000Z'],
+  ['local with seconds, New York repeated hour', '2026-11-01T01:30:15', 'America/New_York', '2026-11-01T05:30:15.000Z'],
+  ['local, New York skipped hour', '2026-03-08T02:15', 'America/New_York', '2026-03-08T07:15:00.000Z'],
+  ['UTC value ignores the zone', '2026-03-08T02:30:00Z', 'America/New_York', '2026-03-08T02:30:00.000Z'],
+  ['offset value ignores the zone', '2026-10-25T01:30:00+05:30', 'Europe/London', '2026-10-24T20:00:00.000Z'],
+  ['impossible date', '2026-02-30T10:00', 'Europe/London', null],
+  ['hour 24', '2026-03-08T24:00', 'America/New_York', null],
+  ['not a date-time', 'tomorrow evening', 'Europe/London', null],
+];
+for (const [label, value, timeZone, expected] of dateTimes) {
+  expectEqual(`parseDateTimeInZone ${label}`, iso(parseDateTimeInZone(value, timeZone)), expected);
+}
+
+// Free-text post times from AI plans
+const postTimes = [
+  ['7:30 PM IST', { time: '19:30', timeZone: 'Asia/Kolkata', offsetMinutes: null }],
+  ['6-7 PM', { time: '18:00', timeZone: 'Asia/Kolkata', offsetMinutes: null }],
+  ['10:30 - 11:30 am EST', { time: '10:30', timeZone: 'America/New_York', offsetMinutes: null }],
+  ['8 AM GMT+5:30', { time: '08:00', timeZone: null, offsetMinutes: 330 }],
+  ['9:15 PM UTC-3', { time: '21:15', timeZone: null, offsetMinutes: -180 }],
+  ['12 AM', { time: '00:00', timeZone: 'Asia/Kolkata', offsetMinutes: null }],
+  ['12 PM', { time: '12:00', timeZone: 'Asia/Kolkata', offsetMinutes: null }],
+  ['18:00 BST', { time: '18:00', timeZone: 'Europe/London', offsetMinutes: null }],
+  ['25:00', null],
+  ['whenever your audience is online', null],
+];
+for (const [text, expected] of postTimes) {
+  expectEqual(`parsePostTime "${text}"`, parsePostTime(text), expected);
+}
+expectEqual('postTimeToInstant fixed offset', iso(postTimeToInstant('2026-06-01', parsePostTime('8 AM GMT+5:30'), 'UTC')), '2026-06-01T02:30:00.000Z');
+expectEqual('postTimeToInstant no time, New York', iso(postTimeToInstant('2026-06-01', null, 'America/New_York')), '2026-06-01T22:00:00.000Z');
+
+// Plan placement: weekdays on or after the previous item, the next day without one, 18:00 local without a time
+const planEvents = buildPlanEvents({
+  plan: [
+    { day_of_week: 'Saturday', best_post_time: '7:30 PM IST', content_type: 'Reel', hook: 'Hook 1' },
+    { day_of_week: 'Sunday', best_post_time: 'any time', content_type: 'Carousel', hook: 'Hook 2' },
+    { day_of_week: 'Bonus day', best_post_time: '6-7 PM', content_type: 'Story', hook: 'Hook 3' },
+    { day_of_week: 'Saturday', best_post_time: '12 AM GMT+5:30', content_type: 'Podcast', hook: 'Hook 4' },
+  ],
+  jobId: 'CALENDAR-check',
+  startDate: '2026-10-31',
+  timeZone: 'America/New_York',
+  durationMinutes: 45,
+});
+expectEqual(
+  'buildPlanEvents across the New York fall back',
+  planEvents.map(event => ({ date: event.date, start: iso(event.start), end: iso(event.end), timeDefaulted: event.timeDefaulted, contentType: event.contentType })),
+  [
+    { date: '2026-10-31', start: '2026-10-31T14:00:00.000Z', end: '2026-10-31T14:45:00.000Z', timeDefaulted: false, contentType: 'reel' },
+    { date: '2026-11-01', start: '2026-11-01T23:00:00.000Z', end: '2026-11-01T23:45:00.000Z', timeDefaulted: true, contentType: 'carousel' },
+    { date: '2026-11-02', start: '2026-11-02T12:30:00.000Z', end: '2026-11-02T13:15:00.000Z', timeDefaulted: false, contentType: 'story' },
+    { date: '2026-11-07', start: '2026-11-06T18:30:00.000Z', end: '2026-11-06T19:15:00.000Z', timeDefaulted: false, contentType: null },
+  ]
+);
+expectEqual('buildPlanEvents request times zone', planEvents[1].requestBody.start, { dateTime: '2026-11-01T23:00:00.000Z', timeZone: 'America/New_York' });
+
+// Recurrence rules
+expectEqual('parseRecurrence bare rule', parseRecurrence('FREQ=WEEKLY;BYDAY=TU,TH'), ['RRULE:FREQ=WEEKLY;BYDAY=TU,TH']);
+expectEqual('parseRecurrence lower case', parseRecurrence('rrule:freq=daily;count=5'), ['RRULE:FREQ=DAILY;COUNT=5']);
+expectEqual(
+  'parseRecurrence with an exception date',
+  parseRecurrence(['RRULE:FREQ=WEEKLY;BYDAY=1FR;UNTIL=20261231T235959Z', 'EXDATE;TZID=Asia/Kolkata:20261106T190000']),
+  ['RRULE:FREQ=WEEKLY;BYDAY=1FR;UNTIL=20261231T235959Z', 'EXDATE;TZID=Asia/Kolkata:20261106T190000']
+);
+expectEqual('parseRecurrence not given', parseRecurrence(undefined), undefined);
+expectError('parseRecurrence COUNT and UNTIL', () => parseRecurrence('FREQ=DAILY;COUNT=3;UNTIL=20261231'), 'CALENDAR_RECURRENCE_INVALID');
+expectError('parseRecurrence hourly', () => parseRecurrence('FREQ=HOURLY'), 'CALENDAR_RECURRENCE_INVALID');
+expectError('parseRecurrence repeated part', () => parseRecurrence('FREQ=DAILY;FREQ=WEEKLY'), 'CALENDAR_RECURRENCE_INVALID');
+expectError('parseRecurrence bad weekday', () => parseRecurrence('FREQ=WEEKLY;BYDAY=XX'), 'CALENDAR_RECURRENCE_INVALID');
+expectError('parseRecurrence exceptions only', () => parseRecurrence('EXDATE:20261106'), 'CALENDAR_RECURRENCE_INVALID');
+
+// Slots around busy time: Tuesday's production moves before a meeting, Thursday's publish slot is taken by
+// another one, and Wednesday's 8 AM post is produced on Tuesday before Tuesday's own production block
+const slots = findSlots({
+  busy: [
+    { start: new Date('2026-10-20T09:30:00Z'), end: new Date('2026-10-20T12:00:00Z') },
+    { start: new Date('2026-10-22T06:30:00Z'), end: new Date('2026-10-22T08:00:00Z') },
+  ],
+  windows: parsePostingWindows(['Tue 7:30 PM IST', 'Thu 12:30 PM', 'Wed 8 AM']),
+  from: new Date('2026-10-19T03:30:00Z'),
+  to: new Date('2026-10-26T00:00:00Z'),
+  timeZone: 'Asia/Kolkata',
+  workingHours: { start: '09:00', end: '18:00', days: [1, 2, 3, 4, 5] },
+  productionMinutes: 120,
+  publishMinutes: 30,
+  bufferMinutes: 60,
+  limit: 3,
+});
+expectEqual(
+  'findSlots around busy blocks',
+  slots.map(({ publish, production }) => ({
+    window: publish.window,
+    publish: [iso(publish.start), iso(publish.end)],
+    production: [iso(production.start), iso(production.end)],
+  })),
+  [
+    {
+      window: 'Tue 7:30 PM IST',
+      publish: ['2026-10-20T14:00:00.000Z', '2026-10-20T14:30:00.000Z'],
+      production: ['2026-10-20T07:30:00.000Z', '2026-10-20T09:30:00.000Z'],
+    },
+    {
+      window: 'Wed 8 AM',
+      publish: ['2026-10-21T02:30:00.000Z', '2026-10-21T03:00:00.000Z'],
+      production: ['2026-10-20T05:30:00.000Z', '2026-10-20T07:30:00.000Z'],
+    },
+  ]
+);
+
+if (failures.length > 0) {
+  failures.forEach(failure => process.stderr.write(`[check-scheduling] ${failure}\n`));
+  process.stderr.write(`[check-scheduling] ${failures.length} of ${cases} cases failed\n`);
+  process.exit(1);
+}
+print(`ok: ${cases} scheduling cases`);
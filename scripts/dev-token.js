@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+/**
+ * Mint Firebase-style ID tokens signed with a local test keypair
+ *
+ *   npm run dev-token -- <uid> [--email user@example.com] [--expires 3600]
+ *
+ * The keypair is created on first use in data/dev-auth/ (private.pem + jwks.json). Point the server at it with
+ *   AUTH_MODE=firebase FIREBASE_PROJECT_ID=<same project> FIREBASE_CERTS_URL=data/dev-auth/jwks.json
+ * and send the printed token as Authorization: Bearer <token>.
+ * The project defaults to FIREBASE_PROJECT_ID (or instaflow-dev); never configure this keypair in production.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+require('dotenv').config();
+
+const KEY_DIR = path.join(__dirname, '..', 'data', 'dev-auth');
+const PRIVATE_KEY_FILE = path.join(KEY_DIR, 'private.pem');
+const JWKS_FILE = path.join(KEY_DIR, 'jwks.json');
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[++i];
+    } else {
+      args._.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+function loadOrCreateKeypair() {
+  if (fs.existsSync(PRIVATE_KEY_FILE) && fs.existsSync(JWKS_FILE)) {
+    const kid = JSON.parse(fs.readFileSync(JWKS_FILE, 'utf8')).keys[0].kid;
+    return { privateKey: crypto.createPrivateKey(fs.readFileSync(PRIVATE_KEY_FILE, 'utf8')), kid };
+  }
+
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString('hex');
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' };
+
+  fs.mkdirSync(KEY_DIR, { recursive: true });
+  fs.writeFileSync(PRIVATE_KEY_FILE, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+  fs.writeFileSync(JWKS_FILE, `${JSON.stringify({ keys: [jwk] }, null, 2)}\n`);
+  process.stderr.write(`Created test keypair in ${KEY_DIR}\n`);
+  return { privateKey, kid };
+}
+
+function sign(claims, privateKey, kid) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode({ alg: 'RS256', kid, typ: 'JWT' })}.${encode(claims)}`;
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(unsigned), privateKey).toString('base64url');
+  return `${unsigned}.${signature}`;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const uid = args._[0];
+if (!uid) {
+  process.stderr.write('Usage: npm run dev-token -- <uid> [--email user@example.com] [--expires 3600]\n');
+  process.exit(1);
+}
+
+const projectId = process.env.FIREBASE_PROJECT_ID || 'instaflow-dev';
+const now = Math.floor(Date.now() / 1000);
+const { privateKey, kid } = loadOrCreateKeypair();
+
+process.stdout.write(`${sign({
+  iss: `https://securetoken.google.com/${projectId}`,
+  aud: projectId,
+  auth_time: now,
+  user_id: uid,
+  sub: uid,
+  iat: now,
+  exp: now + (parseInt(args.expires, 10) || 3600),
+  ...(args.email ? { email: args.email, email_verified: true } : {}),
+  firebase: { identities: {}, sign_in_provider: 'custom' },
+}, privateKey, kid)}\n`);
@@ -0,0 +1,24 @@
+#!/usr/bin/env node
+/**
+ * Encrypt the OAuth token store with the active key
+ *
+ *   TOKEN_ENCRYPTION_KEYS=<new>[,<old>...] npm run encrypt-tokens
+ *
+ * Migrates plaintext records written before encryption was enabled and rewraps records encrypted
+ * with an older key or before the account email was bound to them, so the old key can be dropped
+ * from TOKEN_ENCRYPTION_KEYS afterwards.
+ * The server also does this lazily for every record it reads (utils/tokenStore).
+ */
+
+require('dotenv').config();
+
+const { reencryptAll } = require('../utils/tokenStore');
+
+reencryptAll()
+  .then(({ total, reencrypted }) => {
+    process.stdout.write(`Re-encrypted ${reencrypted} of ${total} token records\n`);
+  })
+  .catch((error) => {
+    process.stderr.write(`[encrypt-tokens] ${error.message}\n`);
+    process.exit(1);
+  });
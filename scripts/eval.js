@@ -0,0 +1,285 @@
+#!/usr/bin/env node
+/**
+ * Offline prompt evaluation
+ *
+ * Replays the golden datasets (eval/datasets/<jobType>.json) through the real generators
+ * (controllers/geminiController.js) and scores the outputs with rule-based checks (eval/checks.js).
+ *
+ *   npm run eval                                           # every dataset, mock provider
+ *   npm run eval -- --type captions,bio                    # selected job types
+ *   npm run eval -- --prompts captions-user=1              # pin prompt versions (PROMPT_VERSIONS syntax)
+ *   npm run eval -- --baseline bio=1 --candidate bio=2     # run twice and diff the two prompt versions
+ *   npm run eval -- --compare base.json candidate.json     # diff two saved reports (--out)
+ *   npm run eval -- --cassette eval/cassettes/all.json     # replay recorded Gemini traffic (utils/cassette.js)
+ *   npm run eval -- --cassette eval/cassettes/all.json --record   # record it (needs GEMINI_API_KEY)
+ *
+ * Options: --provider mock|gemini|openai (default mock, gemini with --cassette), --out report.json,
+ *          --verbose (keep server logs)
+ * Exits with 1 when a check fails (or, when diffing, when the candidate regresses).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+require('dotenv').config();
+
+const DATASETS_DIR = path.join(__dirname, '..', 'eval', 'datasets');
+const JOB_TIMEOUT_MS = parseInt(process.env.EVAL_JOB_TIMEOUT_MS, 10) || 120000;
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+    const key = arg.slice(2);
+    if (key === 'compare') {
+      args.compare = [argv[++i], argv[++i]];
+    } else if (key === 'verbose' || key === 'record') {
+      args[key] = true;
+    } else {
+      args[key] = argv[++i];
+    }
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+
+if (args.cassette) {
+  process.env.GEMINI_CASSETTE = args.cassette;
+  process.env.GEMINI_CASSETTE_MODE = args.record ? 'record' : 'replay';
+}
+
+// Eval runs are isolated: in-memory jobs, no experiment variants, mock provider unless asked otherwise
+process.env.LLM_PROVIDER = args.provider || (args.cassette ? 'gemini' : 'mock');
+process.env.STORE_BACKEND = 'memory';
+process.env.EXPERIMENTS_FILE = 'off';
+
+const print = (line = '') => process.stdout.write(`${line}\n`);
+
+// The generators log every step; keep the report readable unless --verbose
+if (!args.verbose) {
+  console.log = () => {};
+  console.info = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+}
+
+function loadDatasets(types) {
+  return fs.readdirSync(DATASETS_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => ({ type: path.basename(file, '.json'), cases: JSON.parse(fs.readFileSync(path.join(DATASETS_DIR, file), 'utf8')) }))
+    .filter(dataset => !types || types.includes(dataset.type))
+    .sort((a, b) => a.type.localeCompare(b.type));
+}
+
+// Call an Express handler with a minimal request/response pair and resolve with its JSON payload
+function invoke(handler, body) {
+  return new Promise((resolve, reject) => {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(payload) {
+        resolve({ statusCode: this.statusCode, payload });
+        return this;
+      },
+    };
+    Promise.resolve(handler({ body, headers: {}, query: {}, params: {} }, res)).catch(reject);
+  });
+}
+
+async function waitForJob(getJob, jobId) {
+  const deadline = Date.now() + JOB_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    const job = await getJob(jobId);
+    if (job && (job.status === 'completed' || job.status === 'failed')) {
+      return job;
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`EVAL_TIMEOUT: Job ${jobId} did not finish within ${JOB_TIMEOUT_MS}ms`);
+}
+
+/**
+ * Run every case of the selected datasets once
+ * @param {string} pins - Prompt version pins (PROMPT_VERSIONS syntax), '' for the active versions
+ * @returns {Promise<object>} - Report
+ */
+async function runEval(pins, types) {
+  // Required lazily so the environment above is in place first
+  const controller = require('../controllers/geminiController');
+  const { getJob } = require('../utils/jobStore');
+  const { runChecks } = require('../eval/checks');
+
+  const handlers = {
+    captions: controller.generateCaptions,
+    calendar: controller.generateCalendar,
+    strategy: controller.generateStrategy,
+    analyze: controller.analyzeNiche,
+    'reels-script': controller.generateReelsScript,
+    'post-ideas': controller.generatePostIdeas,
+    hashtags: controller.generateHashtags,
+    bio: controller.generateBio,
+    hooks: controller.generateHooks,
+    'comment-reply': controller.generateCommentReply,
+    trends: controller.generateTrends,
+    carousel: controller.generateCarousel,
+  };
+
+  process.env.PROMPT_VERSIONS = pins || '';
+  const cases = [];
+
+  for (const dataset of loadDatasets(types)) {
+    const handler = handlers[dataset.type];
+    if (!handler) {
+      print(`⚠️  No generator for dataset "${dataset.type}", skipping`);
+      continue;
+    }
+
+    for (const testCase of dataset.cases) {
+      const id = `${dataset.type}/${testCase.name}`;
+      let checks;
+      let job = null;
+      try {
+        const { statusCode, payload } = await invoke(handler, testCase.input);
+        if (!payload.jobId) {
+          throw new Error(`HTTP ${statusCode}: ${payload.error || 'no jobId returned'}`);
+        }
+        job = await waitForJob(getJob, payload.jobId);
+        checks = runChecks(job, testCase.input);
+      } catch (error) {
+        checks = [{ name: 'completed', pass: false, detail: error.message }];
+      }
+
+      const passed = checks.filter(result => result.pass).length;
+      cases.push({
+        id,
+        type: dataset.type,
+        passed,
+        total: checks.length,
+        checks,
+        prompts: (job && job.prompts) || [],
+        output: job ? job.result : null,
+      });
+      print(`${passed === checks.length ? '✅' : '❌'} ${id.padEnd(40)} ${passed}/${checks.length}${formatFailures(checks)}`);
+    }
+  }
+
+  return { provider: process.env.LLM_PROVIDER, pins: pins || '', createdAt: new Date().toISOString(), cases, summary: summarize(cases) };
+}
+
+function formatFailures(checks) {
+  const failed = checks.filter(result => !result.pass);
+  return failed.length ? `  ${failed.map(result => `${result.name}${result.detail ? ` (${result.detail})` : ''}`).join('; ')}` : '';
+}
+
+function summarize(cases) {
+  const summary = {};
+  for (const testCase of cases) {
+    summary[testCase.type] = summary[testCase.type] || { passed: 0, total: 0 };
+    summary[testCase.type].passed += testCase.passed;
+    summary[testCase.type].total += testCase.total;
+  }
+  return summary;
+}
+
+function printSummary(report) {
+  print();
+  print(`Provider: ${report.provider}${report.pins ? `, prompts: ${report.pins}` : ''}`);
+  let passed = 0;
+  let total = 0;
+  for (const [type, score] of Object.entries(report.summary)) {
+    print(`  ${type.padEnd(16)} ${score.passed}/${score.total}`);
+    passed += score.passed;
+    total += score.total;
+  }
+  print(`  ${'total'.padEnd(16)} ${passed}/${total}`);
+}
+
+/**
+ * Diff two reports case by case
+ * @returns {boolean} - true when the candidate regressed somewhere
+ */
+function printDiff(baseline, candidate) {
+  const baselineCases = new Map(baseline.cases.map(testCase => [testCase.id, testCase]));
+  let regressed = false;
+
+  print();
+  print(`Diff: baseline (${baseline.pins || 'active prompts'}) → candidate (${candidate.pins || 'active prompts'})`);
+  for (const after of candidate.cases) {
+    const before = baselineCases.get(after.id);
+    if (!before) {
+      print(`  ➕ ${after.id.padEnd(40)} new case ${after.passed}/${after.total}`);
+      continue;
+    }
+
+    const beforeChecks = new Map(before.checks.map(result => [result.name, result]));
+    const newlyFailing = after.checks.filter(result => !result.pass && (beforeChecks.get(result.name) || {}).pass);
+    const newlyPassing = after.checks.filter(result => result.pass && beforeChecks.has(result.name) && !beforeChecks.get(result.name).pass);
+    const outputChanged = JSON.stringify(before.output) !== JSON.stringify(after.output);
+    const versions = (report) => report.prompts.map(prompt => `${prompt.id}@v${prompt.version}`).join(', ');
+
+    let marker = '  ';
+    if (newlyFailing.length) marker = '🔻';
+    else if (newlyPassing.length) marker = '🔺';
+    if (newlyFailing.length) regressed = true;
+
+    print(`${marker} ${after.id.padEnd(40)} ${before.passed}/${before.total} → ${after.passed}/${after.total}${outputChanged ? '  (output changed)' : ''}`);
+    if (versions(before) !== versions(after)) {
+      print(`     prompts: ${versions(before) || '-'} → ${versions(after) || '-'}`);
+    }
+    for (const result of newlyFailing) print(`     - now failing: ${result.name}${result.detail ? ` (${result.detail})` : ''}`);
+    for (const result of newlyPassing) print(`     + now passing: ${result.name}`);
+  }
+
+  print();
+  for (const [type, after] of Object.entries(candidate.summary)) {
+    const before = baseline.summary[type] || { passed: 0, total: 0 };
+    print(`  ${type.padEnd(16)} ${before.passed}/${before.total} → ${after.passed}/${after.total}`);
+  }
+  return regressed;
+}
+
+function writeReport(report) {
+  if (!args.out) return;
+  fs.writeFileSync(args.out, `${JSON.stringify(report, null, 2)}\n`);
+  print(`Report written to ${args.out}`);
+}
+
+function hasFailures(report) {
+  return report.cases.some(testCase => testCase.passed < testCase.total);
+}
+
+async function main() {
+  const types = args.type ? args.type.split(',').map(type => type.trim()) : null;
+
+  if (args.compare) {
+    const [baseline, candidate] = args.compare.map(file => JSON.parse(fs.readFileSync(file, 'utf8')));
+    return printDiff(baseline, candidate) ? 1 : 0;
+  }
+
+  if (args.baseline !== undefined || args.candidate !== undefined) {
+    print(`Baseline (${args.baseline || 'active prompts'})`);
+    const baseline = await runEval(args.baseline, types);
+    print();
+    print(`Candidate (${args.candidate || 'active prompts'})`);
+    const candidate = await runEval(args.candidate, types);
+    writeReport({ baseline, candidate });
+    return printDiff(baseline, candidate) ? 1 : 0;
+  }
+
+  const report = await runEval(args.prompts, types);
+  printSummary(report);
+  writeReport(report);
+  return hasFailures(report) ? 1 : 0;
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    process.stderr.write(`[eval] ${error.stack || error.message}\n`);
+    process.exit(1);
+  });
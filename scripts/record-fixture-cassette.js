@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+/**
+ * Record a Gemini cassette answered by the mock provider's fixtures
+ *
+ *   node scripts/record-fixture-cassette.js eval     # eval/cassettes/fixtures.json, every eval dataset
+ *   node scripts/record-fixture-cassette.js routes   # eval/cassettes/routes.json, every /ai/* route (check-routes)
+ *
+ * Runs the eval runner or the route check in record mode with the Gemini client's HTTP call answered in-process:
+ * each request gets the mock provider's output for the same job type and input, wrapped as a generateContent
+ * response. The cassette then replays offline through the whole Gemini path (request building, transport,
+ * parsing, structured output) without an API key. Its outputs are fixtures, not model output: record against
+ * Gemini itself (npm run eval -- --cassette <file> --record, npm run check-routes -- --record) for real traffic.
+ */
+
+const path = require('path');
+const axios = require('axios');
+
+const TARGETS = {
+  eval: { file: path.join('eval', 'cassettes', 'fixtures.json'), script: 'eval.js' },
+  routes: { file: path.join('eval', 'cassettes', 'routes.json'), script: 'check-routes.js' },
+};
+
+const target = TARGETS[process.argv[2] || 'eval'];
+if (!target) {
+  process.stderr.write(`[record-fixture-cassette] Unknown target "${process.argv[2]}" (expected ${Object.keys(TARGETS).join(', ')})\n`);
+  process.exit(1);
+}
+
+// The same environment the runner sets up for a recording, in place before the provider is created
+process.env.GEMINI_API_KEY = 'fixture';
+process.env.GEMINI_CASSETTE = target.file;
+process.env.GEMINI_CASSETTE_MODE = 'record';
+process.env.LLM_PROVIDER = 'gemini';
+
+const { getProvider } = require('../utils/providers');
+const { createMockProvider } = require('../utils/providers/mockProvider');
+
+const gemini = getProvider();
+const mock = createMockProvider();
+
+// Generation options of the call in flight (the runners make one call at a time)
+let current = null;
+const generateText = gemini.generateText;
+gemini.generateText = (prompt, opts = {}) => {
+  current = { prompt, opts };
+  return generateText(prompt, opts);
+};
+const generateWithImage = gemini.generateWithImage;
+gemini.generateWithImage = (prompt, imageBase64, imageMimeType, opts = {}) => {
+  current = { prompt, opts };
+  return generateWithImage(prompt, imageBase64, imageMimeType, opts);
+};
+
+axios.post = async (url) => {
+  if (!current) {
+    throw new Error(`FIXTURE_UNEXPECTED_REQUEST: No generation in flight for ${url}`);
+  }
+  const { text, usage } = await mock.generateText(current.prompt, current.opts);
+  return {
+    status: 200,
+    headers: {},
+    data: {
+      candidates: [{ content: { role: 'model', parts: [{ text }] }, finishReason: 'STOP' }],
+      usageMetadata: {
+        promptTokenCount: usage.promptTokens,
+        candidatesTokenCount: usage.candidateTokens,
+        totalTokenCount: usage.totalTokens,
+      },
+    },
+  };
+};
+
+process.argv = [process.argv[0], path.join(__dirname, target.script), '--cassette', target.file, '--record'];
+require(`./${target.script}`);
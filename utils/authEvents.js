@@ -0,0 +1,52 @@
+/**
+ * Google account connection history
+ *
+ * Connects and disconnects are appended to the 'authEvents' store, keyed by user and time, and kept for
+ * AUTH_EVENT_RETENTION_DAYS (default 365). Recording never fails the request it belongs to.
+ */
+
+const crypto = require('crypto');
+const { createStore } = require('./storage');
+
+const RETENTION_DAYS = parseInt(process.env.AUTH_EVENT_RETENTION_DAYS, 10) || 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const store = createStore('authEvents');
+
+function userPrefix(userId) {
+  return `${encodeURIComponent(userId)}|`;
+}
+
+/**
+ * Append an event to a user's history
+ * @param {string} userId - User the event belongs to
+ * @param {string} type - connected | disconnected
+ * @param {object} details - Event specific fields (scopes, revoked, ...)
+ */
+async function recordAuthEvent(userId, type, details = {}) {
+  const at = new Date().toISOString();
+  const event = { userId, type, at, ...details };
+  try {
+    await store.set(`${userPrefix(userId)}${at}|${crypto.randomBytes(4).toString('hex')}`, event, { ttlMs: RETENTION_DAYS * DAY_MS });
+    console.log(`[AuthEvents] ${type} for userId: ${userId}`);
+  } catch (error) {
+    console.error(`[AuthEvents] Failed to record ${type} for userId: ${userId}:`, error.message);
+  }
+}
+
+/**
+ * A user's events, oldest first
+ * @param {string} userId - User id
+ * @returns {Promise<object[]>}
+ */
+async function listAuthEvents(userId) {
+  const entries = await store.entries(userPrefix(userId));
+  return entries
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([, event]) => event);
+}
+
+module.exports = {
+  recordAuthEvent,
+  listAuthEvents,
+};
@@ -0,0 +1,235 @@
+/**
+ * Record/replay of upstream HTTP traffic ("cassettes") for offline tests
+ *
+ * Wraps an axios-style post(url, body, config). Selected with GEMINI_CASSETTE_MODE:
+ *   record - calls the upstream and appends every request/response pair to GEMINI_CASSETTE (JSON file)
+ *   replay - serves recorded responses, never touches the network
+ *   off    - passthrough (default)
+ *
+ * Recorded requests are normalized so they can be committed and matched across runs: the API key,
+ * the zero-width variation nonces (they also wrap random picks such as the reels script angle), the
+ * seed / timestamp / request id markers prompts carry ("🎲 UNIQUE_SEED: ...") and inline image data
+ * are replaced with placeholders.
+ * Replay serves the first unused interaction with the same normalized request and fails with CASSETTE_MISS
+ * when there is none. GEMINI_CASSETTE_MATCH=endpoint falls back to the next unused interaction for the
+ * same endpoint in recorded order instead (loose replays of cassettes recorded with older prompts).
+ * Failed requests are replayed as AxiosErrors with the recorded status and response, like the live call.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { AxiosError } = require('axios');
+
+const CASSETTE_VERSION = 1;
+const MATCH_MODES = ['exact', 'endpoint'];
+
+// Prompt lines whose values change on every request (see prompts/*.txt)
+const NONCE_MARKERS = [
+  'UNIQUE_SEED', 'TIMESTAMP', 'REQUEST_ID', 'CLIENT_REQUEST_ID', 'CREATIVE_SEED', 'RANDOM_CONTEXT',
+  'VARIATION_TOKEN', 'VARIATION_SEED', 'SELECTED_ANGLE', 'HOOK_STYLE', 'CTA_TYPE',
+];
+const MARKER_LINE = new RegExp(`^(.*?\\b(${NONCE_MARKERS.join('|')}):\\s*)(.+)$`, 'gm');
+const ZERO_WIDTH_NONCE = /\u200B[^\u200B]*\u200B/g;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function normalizeText(text) {
+  let normalized = text.replace(ZERO_WIDTH_NONCE, '<NONCE>');
+
+  // Collect marker values, then replace them wherever they are repeated in the prompt
+  // (prompts also quote them inline, sometimes truncated to a prefix)
+  const values = [];
+  normalized = normalized.replace(MARKER_LINE, (line, prefix, marker, value) => {
+    values.push({ marker, value: value.trim() });
+    return `${prefix}<${marker}>`;
+  });
+  // Whole values before prefixes: a value can quote another's prefix (the reels variation token ends with the creative seed's)
+  values.sort((a, b) => b.value.length - a.value.length);
+  for (const length of [Infinity, 30, 20]) {
+    for (const { marker, value } of values) {
+      const fragment = value.substring(0, length);
+      if (fragment.length >= 8) {
+        normalized = normalized.replace(new RegExp(escapeRegExp(fragment), 'g'), `<${marker}>`);
+      }
+    }
+  }
+  return normalized;
+}
+
+function normalizePart(part) {
+  if (part.text !== undefined) {
+    return { ...part, text: normalizeText(part.text) };
+  }
+  if (part.inlineData) {
+    const digest = crypto.createHash('sha1').update(part.inlineData.data || '').digest('hex');
+    return { inlineData: { mimeType: part.inlineData.mimeType, data: `<sha1:${digest}>` } };
+  }
+  return part;
+}
+
+/**
+ * Normalize a request for storage and matching
+ * @param {string} url - Request URL (the API key is removed)
+ * @param {object} body - Request body
+ * @returns {{ endpoint: string, body: object }}
+ */
+function normalizeRequest(url, body) {
+  const endpoint = url.replace(/([?&]key=)[^&]*/, '$1<API_KEY>');
+  const contents = (body.contents || []).map(content => ({
+    ...content,
+    parts: (content.parts || []).map(normalizePart),
+  }));
+  return { endpoint, body: { ...body, contents } };
+}
+
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk.toString());
+  return chunks;
+}
+
+/**
+ * Create a post() that records or replays traffic
+ * @param {object} options
+ * @param {string} options.name - Upstream name (for logs and errors)
+ * @param {function} options.post - The real post(url, body, config), e.g. axios.post
+ * @param {string} options.mode - record | replay | off (default GEMINI_CASSETTE_MODE)
+ * @param {string} options.file - Cassette path (default GEMINI_CASSETTE)
+ * @param {string} options.match - exact | endpoint (default GEMINI_CASSETTE_MATCH, else exact)
+ * @returns {{ mode: string, file: string, post: function }}
+ */
+function createCassetteTransport({
+  name,
+  post,
+  mode = (process.env.GEMINI_CASSETTE_MODE || 'off').trim().toLowerCase(),
+  file = process.env.GEMINI_CASSETTE || path.join('cassettes', 'gemini.json'),
+  match = (process.env.GEMINI_CASSETTE_MATCH || 'exact').trim().toLowerCase(),
+}) {
+  if (mode === 'off') {
+    return { mode, file: null, post };
+  }
+  if (mode !== 'record' && mode !== 'replay') {
+    throw new Error(`CASSETTE_MODE_INVALID: Unknown cassette mode "${mode}" (expected record, replay, off)`);
+  }
+  if (!MATCH_MODES.includes(match)) {
+    throw new Error(`CASSETTE_MATCH_INVALID: Unknown cassette match "${match}" (expected ${MATCH_MODES.join(', ')})`);
+  }
+
+  let cassette = null;
+  const used = new Set();
+
+  function load() {
+    if (cassette) return cassette;
+    if (fs.existsSync(file)) {
+      cassette = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } else if (mode === 'replay') {
+      throw new Error(`CASSETTE_NOT_FOUND: ${file} does not exist (record it with GEMINI_CASSETTE_MODE=record)`);
+    } else {
+      cassette = { version: CASSETTE_VERSION, interactions: [] };
+    }
+    // Recording starts the cassette over
+    if (mode === 'record') {
+      cassette.interactions = [];
+    }
+    console.log(`[Cassette] ${mode === 'record' ? 'Recording' : 'Replaying'} ${name} traffic ${mode === 'record' ? 'to' : 'from'} ${file}`);
+    return cassette;
+  }
+
+  function save(interaction) {
+    load().interactions.push(interaction);
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify(cassette, null, 2)}\n`);
+  }
+
+  async function record(url, body, config) {
+    const request = normalizeRequest(url, body);
+    const isStream = config && config.responseType === 'stream';
+    try {
+      const response = await post(url, body, config);
+      const headers = { 'retry-after': response.headers && response.headers['retry-after'] };
+      if (!isStream) {
+        save({ request, response: { status: response.status, headers, data: response.data } });
+        return response;
+      }
+
+      // Tee the stream: the caller still receives chunks as they arrive
+      const chunks = [];
+      const upstream = response.data;
+      const passthrough = Readable.from((async function* relay() {
+        for await (const chunk of upstream) {
+          chunks.push(chunk.toString());
+          yield chunk;
+        }
+        save({ request, response: { status: response.status, headers, chunks } });
+      })());
+      return { ...response, data: passthrough };
+    } catch (error) {
+      if (error.response) {
+        // Stream error bodies have to be read to be recorded; hand a fresh stream back to the caller
+        let data = error.response.data;
+        if (data && typeof data.on === 'function') {
+          const chunks = await readStream(data);
+          data = chunks.join('');
+          error.response.data = Readable.from(chunks);
+        }
+        save({
+          request,
+          error: { code: error.code || null, message: error.message, status: error.response.status },
+          response: { status: error.response.status, headers: { 'retry-after': error.response.headers && error.response.headers['retry-after'] }, data },
+        });
+      } else {
+        save({ request, error: { code: error.code || null, message: error.message, status: error.status ?? null } });
+      }
+      throw error;
+    }
+  }
+
+  async function replay(url, body, config) {
+    const request = normalizeRequest(url, body);
+    const key = JSON.stringify(request);
+    const interactions = load().interactions;
+
+    let index = interactions.findIndex((interaction, i) => !used.has(i) && JSON.stringify(interaction.request) === key);
+    if (index === -1 && match === 'endpoint') {
+      index = interactions.findIndex((interaction, i) => !used.has(i) && interaction.request.endpoint === request.endpoint);
+      if (index !== -1) {
+        console.warn(`[Cassette] No exact match for ${request.endpoint}, replaying interaction #${index} in recorded order`);
+      }
+    }
+    if (index === -1) {
+      const error = new Error(`CASSETTE_MISS: No recorded ${name} interaction for ${request.endpoint} in ${file}`);
+      error.retryable = false;
+      throw error;
+    }
+    used.add(index);
+
+    const interaction = interactions[index];
+    if (!interaction.response) {
+      const error = new AxiosError(interaction.error.message, interaction.error.code || undefined, config);
+      if (interaction.error.status) error.status = interaction.error.status;
+      throw error;
+    }
+
+    const { status, headers = {}, data, chunks } = interaction.response;
+    const isStream = config && config.responseType === 'stream';
+    const payload = isStream ? Readable.from(chunks || [typeof data === 'string' ? data : JSON.stringify(data)]) : data;
+    const response = { status, statusText: '', headers, config, data: payload };
+
+    // Same contract as axios: non-stream calls pass validateStatus, everything else rejects on >= 400
+    const validateStatus = (config && config.validateStatus) || (code => code >= 200 && code < 300);
+    if (!validateStatus(status)) {
+      const { message = `Request failed with status code ${status}`, code } = interaction.error || {};
+      const errorCode = code || (status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST);
+      throw new AxiosError(message, errorCode, config, null, response);
+    }
+    return response;
+  }
+
+  return { mode, file, post: mode === 'record' ? record : replay };
+}
+
+module.exports = { createCassetteTransport, normalizeRequest };
@@ -0,0 +1,144 @@
+/**
+ * Circuit breaker for upstream calls
+ *
+ * closed    → calls pass through; opens after `failureThreshold` consecutive failures
+ * open      → calls fail fast with `${code}: ...` until `resetTimeoutMs` has elapsed
+ * half-open → one trial call is let through; success closes the circuit, failure re-opens it
+ */
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+  return sorted[Math.max(0, index)];
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.name - Upstream name (used in logs)
+ * @param {string} options.code - Error code prefix thrown while open (e.g. GEMINI_CIRCUIT_OPEN)
+ * @param {number} options.failureThreshold - Consecutive failures before opening
+ * @param {number} options.resetTimeoutMs - How long to stay open before a half-open trial
+ * @param {number} options.windowSize - Number of recent calls kept for error rate / latency stats
+ * @param {function} options.isFailure - (error) => boolean, errors that count against the upstream
+ */
+function createCircuitBreaker({
+  name,
+  code,
+  failureThreshold = 5,
+  resetTimeoutMs = 30000,
+  windowSize = 100,
+  isFailure = () => true,
+}) {
+  let state = 'closed';
+  let consecutiveFailures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+  let lastError = null;
+  const recent = []; // { ok, latencyMs, at }
+
+  function record(ok, latencyMs) {
+    recent.push({ ok, latencyMs, at: Date.now() });
+    if (recent.length > windowSize) recent.shift();
+  }
+
+  function transition(next) {
+    if (state === next) return;
+    console.log(`[CircuitBreaker:${name}] ${state} → ${next}`);
+    state = next;
+  }
+
+  function open() {
+    openedAt = Date.now();
+    transition('open');
+  }
+
+  function retryAfterMs() {
+    return Math.max(0, openedAt + resetTimeoutMs - Date.now());
+  }
+
+  /**
+   * Run fn through the breaker
+   * @param {function} fn - async () => result
+   * @returns {Promise<any>} fn's result
+   */
+  async function execute(fn) {
+    if (state === 'open') {
+      if (retryAfterMs() > 0) {
+        const error = new Error(`${code}: ${name} upstream unavailable, retry in ${Math.ceil(retryAfterMs() / 1000)}s`);
+        error.retryable = false;
+        error.circuitOpen = true;
+        throw error;
+      }
+      transition('half-open');
+    }
+
+    const isTrial = state === 'half-open';
+    if (isTrial) {
+      if (trialInFlight) {
+        const error = new Error(`${code}: ${name} upstream recovering, trial request in progress`);
+        error.retryable = false;
+        error.circuitOpen = true;
+        throw error;
+      }
+      trialInFlight = true;
+    }
+
+    const startedAt = Date.now();
+    try {
+      const result = await fn();
+      record(true, Date.now() - startedAt);
+      consecutiveFailures = 0;
+      transition('closed');
+      return result;
+    } catch (error) {
+      if (!isFailure(error)) {
+        // The upstream answered (e.g. 403/404) - that is not an availability problem
+        record(true, Date.now() - startedAt);
+        consecutiveFailures = 0;
+        if (isTrial) transition('closed');
+        throw error;
+      }
+
+      record(false, Date.now() - startedAt);
+      consecutiveFailures++;
+      lastError = { message: error.message, at: new Date().toISOString() };
+
+      if (isTrial || consecutiveFailures >= failureThreshold) {
+        console.warn(`[CircuitBreaker:${name}] Opening circuit after ${consecutiveFailures} consecutive failures`);
+        open();
+      }
+      throw error;
+    } finally {
+      if (isTrial) trialInFlight = false;
+    }
+  }
+
+  /**
+   * Snapshot for health reporting
+   * @returns {object} - state, error rate and latency percentiles over the recent window
+   */
+  function getStats() {
+    const latencies = recent.map(call => call.latencyMs).sort((a, b) => a - b);
+    const failures = recent.filter(call => !call.ok).length;
+
+    return {
+      state,
+      consecutiveFailures,
+      failureThreshold,
+      openedAt: openedAt && state !== 'closed' ? new Date(openedAt).toISOString() : null,
+      retryAfterMs: state === 'open' ? retryAfterMs() : 0,
+      recentCalls: recent.length,
+      errorRate: recent.length ? Number((failures / recent.length).toFixed(3)) : 0,
+      latencyMs: {
+        p50: percentile(latencies, 50),
+        p90: percentile(latencies, 90),
+        p99: percentile(latencies, 99),
+      },
+      lastError,
+    };
+  }
+
+  return { execute, getStats };
+}
+
+module.exports = { createCircuitBreaker };
@@ -0,0 +1,186 @@
+/**
+ * Optional event settings from requests: recurrence, reminders and color
+ *
+ * Requests use plain values (RRULE lines, { method, minutes } reminders, a content type) that are checked here
+ * and turned into Calendar API fields, so a bad value is a 400 with a code instead of a failed Google call.
+ */
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const RULE_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const RULE_PARTS = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'BYMONTHDAY', 'BYMONTH', 'BYSETPOS', 'WKST'];
+const RECURRENCE_PREFIXES = ['RRULE', 'EXRULE', 'RDATE', 'EXDATE'];
+const MAX_RECURRENCE_LINES = 10;
+const REMINDER_METHODS = ['popup', 'email'];
+// Google's limits: 5 overrides, at most 4 weeks before the start
+const MAX_REMINDERS = 5;
+const MAX_REMINDER_MINUTES = 4 * 7 * 24 * 60;
+
+// Content types of /ai/calendar plans and their event colors (Google colorId: 11 Tomato, 9 Blueberry,
+// 5 Banana, 2 Sage, 3 Grape)
+const CONTENT_TYPE_COLORS = {
+  reel: '11',
+  carousel: '9',
+  story: '5',
+  'static-image': '2',
+  meme: '3',
+};
+const CONTENT_TYPE_ALIASES = { reels: 'reel', carousels: 'carousel', stories: 'story', image: 'static-image', memes: 'meme' };
+
+function optionsError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+function validateRule(rule, line) {
+  const parts = {};
+  for (const part of rule.split(';')) {
+    const [key, value] = part.split('=');
+    if (!RULE_PARTS.includes(key) || !value || parts[key]) {
+      throw optionsError(`CALENDAR_RECURRENCE_INVALID: Unsupported or repeated rule part "${part}" in ${line}`);
+    }
+    parts[key] = value;
+  }
+  if (!RULE_FREQUENCIES.includes(parts.FREQ)) {
+    throw optionsError(`CALENDAR_RECURRENCE_INVALID: FREQ must be one of ${RULE_FREQUENCIES.join(', ')} in ${line}`);
+  }
+  for (const key of ['INTERVAL', 'COUNT']) {
+    if (parts[key] && !/^[1-9]\d{0,3}$/.test(parts[key])) {
+      throw optionsError(`CALENDAR_RECURRENCE_INVALID: ${key} must be a positive number in ${line}`);
+    }
+  }
+  if (parts.COUNT && parts.UNTIL) {
+    throw optionsError(`CALENDAR_RECURRENCE_INVALID: Use COUNT or UNTIL, not both, in ${line}`);
+  }
+  if (parts.UNTIL && !/^\d{8}(T\d{6}Z)?$/.test(parts.UNTIL)) {
+    throw optionsError(`CALENDAR_RECURRENCE_INVALID: UNTIL must look like 20261231 or 20261231T235959Z in ${line}`);
+  }
+  if (parts.BYDAY && !parts.BYDAY.split(',').every(day => /^[+-]?\d{0,2}(SU|MO|TU|WE|TH|FR|SA)$/.test(day))) {
+    throw optionsError(`CALENDAR_RECURRENCE_INVALID: BYDAY must list days like MO,WE or 1FR in ${line}`);
+  }
+}
+
+/**
+ * Recurrence lines for the Calendar API
+ * @param {string|string[]} value - RFC 5545 lines, e.g. 'RRULE:FREQ=WEEKLY;BYDAY=TU,TH'; a bare rule gets 'RRULE:'
+ * @returns {string[]|undefined} - undefined when not given
+ * @throws {Error} CALENDAR_RECURRENCE_INVALID (400)
+ */
+function parseRecurrence(value) {
+  if (value === undefined || value === null) return undefined;
+  const lines = (Array.isArray(value) ? value : [value]).map(line => (typeof line === 'string' ? line.trim() : ''));
+  if (lines.length === 0 || lines.length > MAX_RECURRENCE_LINES || lines.some(line => !line)) {
+    throw optionsError(`CALENDAR_RECURRENCE_INVALID: recurrence must be 1 to ${MAX_RECURRENCE_LINES} RRULE/EXDATE/RDATE lines`);
+  }
+
+  const recurrence = lines.map((line) => {
+    const match = /^([A-Za-z]+)[:;]/.exec(line);
+    const prefix = match && RECURRENCE_PREFIXES.includes(match[1].toUpperCase()) ? match[1].toUpperCase() : null;
+    const normalized = prefix ? `${prefix}${line.slice(prefix.length)}` : `RRULE:${line}`;
+    if (normalized.startsWith('RRULE:') || normalized.startsWith('EXRULE:')) {
+      validateRule(normalized.slice(normalized.indexOf(':') + 1).toUpperCase(), line);
+      return normalized.toUpperCase();
+    }
+    return normalized;
+  });
+  if (!recurrence.some(line => line.startsWith('RRULE:') || line.startsWith('RDATE'))) {
+    throw optionsError('CALENDAR_RECURRENCE_INVALID: recurrence needs an RRULE or RDATE line');
+  }
+  return recurrence;
+}
+
+/**
+ * Reminder settings for the Calendar API
+ * @param {Array<{ method: string, minutes: number }>|null|undefined} value - Overrides ([] for none), null for the
+ *        calendar's default reminders
+ * @returns {{ useDefault: boolean, overrides?: object[] }|undefined} - undefined when not given
+ * @throws {Error} CALENDAR_REMINDERS_INVALID (400)
+ */
+function parseReminders(value) {
+  if (value === undefined) return undefined;
+  if (value === null) return { useDefault: true };
+  if (!Array.isArray(value) || value.length > MAX_REMINDERS) {
+    throw optionsError(`CALENDAR_REMINDERS_INVALID: reminders must be a list of at most ${MAX_REMINDERS} { method, minutes } entries, or null for the calendar's default`);
+  }
+  const overrides = value.map((reminder) => {
+    const { method = 'popup', minutes } = reminder || {};
+    if (!REMINDER_METHODS.includes(method)) {
+      throw optionsError(`CALENDAR_REMINDERS_INVALID: Reminder method must be ${REMINDER_METHODS.join(' or ')}`);
+    }
+    if (!Number.isInteger(minutes) || minutes < 0 || minutes > MAX_REMINDER_MINUTES) {
+      throw optionsError(`CALENDAR_REMINDERS_INVALID: Reminder minutes must be an integer between 0 and ${MAX_REMINDER_MINUTES}`);
+    }
+    return { method, minutes };
+  });
+  return { useDefault: false, overrides };
+}
+
+/**
+ * Canonical content type ('Reel', 'Static Image' and 'stories' become 'reel', 'static-image' and 'story')
+ * @returns {string|null} - null when unknown
+ */
+function normalizeContentType(value) {
+  const key = String(value || '').trim().toLowerCase().replace(/[\s_]+/g, '-');
+  const contentType = CONTENT_TYPE_ALIASES[key] || key;
+  return CONTENT_TYPE_COLORS[contentType] ? contentType : null;
+}
+
+/**
+ * Content type from a request, see normalizeContentType
+ * @returns {string|null} - null when not given
+ * @throws {Error} CALENDAR_CONTENT_TYPE_INVALID (400)
+ */
+function parseContentType(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const contentType = normalizeContentType(value);
+  if (!contentType) {
+    throw optionsError(`CALENDAR_CONTENT_TYPE_INVALID: contentType must be one of ${Object.keys(CONTENT_TYPE_COLORS).join(', ')}`);
+  }
+  return contentType;
+}
+
+/**
+ * Event colorId: the requested one ('1'-'11'), else the content type's color
+ * @returns {string|undefined}
+ * @throws {Error} CALENDAR_COLOR_INVALID (400)
+ */
+function resolveColorId(colorId, contentType) {
+  if (colorId !== undefined && colorId !== null) {
+    if (!/^(?:[1-9]|1[01])$/.test(String(colorId))) {
+      throw optionsError('CALENDAR_COLOR_INVALID: colorId must be a Google event color from 1 to 11');
+    }
+    return String(colorId);
+  }
+  return contentType ? CONTENT_TYPE_COLORS[contentType] : undefined;
+}
+
+/**
+ * RRULE day codes of weekday names
+ * @param {string[]} days - e.g. ['tue', 'Thursday'] or ['TU', 'TH']
+ * @returns {string[]} - e.g. ['TU', 'TH'], in week order
+ * @throws {Error} CALENDAR_SLOT_INVALID (400)
+ */
+function parseWeekdays(days) {
+  if (!Array.isArray(days) || days.length === 0) {
+    throw optionsError('CALENDAR_SLOT_INVALID: days must list weekdays (e.g. ["tue", "thu"]) unless recurrence is given');
+  }
+  const codes = days.map((day) => {
+    const code = String(day || '').trim().slice(0, 2).toUpperCase();
+    if (!WEEKDAY_CODES.includes(code)) {
+      throw optionsError(`CALENDAR_SLOT_INVALID: Unknown weekday "${day}"`);
+    }
+    return code;
+  });
+  return WEEKDAY_CODES.filter(code => codes.includes(code));
+}
+
+module.exports = {
+  WEEKDAY_CODES,
+  CONTENT_TYPE_COLORS,
+  parseRecurrence,
+  parseReminders,
+  normalizeContentType,
+  parseContentType,
+  resolveColorId,
+  parseWeekdays,
+};
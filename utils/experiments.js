@@ -0,0 +1,256 @@
+/**
+ * A/B experiments for prompts and generation params
+ *
+ * Experiments are defined in EXPERIMENTS_FILE (default ./experiments.json), keyed by experiment id:
+ *   {
+ *     "captions-temperature": {
+ *       "jobType": "captions",
+ *       "enabled": true,
+ *       "unit": "user",                  // user (sticky per user id, default) | request
+ *       "variants": [
+ *         { "name": "control", "weight": 50 },
+ *         { "name": "cooler", "weight": 50, "params": { "temperature": 0.8 },
+ *           "prompts": { "captions-user": 2 }, "variables": { "regenerateWarning": "" } }
+ *       ]
+ *     }
+ *   }
+ * A variant can override generation params, pin prompt versions (utils/promptRegistry.js) and override
+ * template variables. The file is re-read when it changes, so experiments can be started/stopped without a deploy.
+ * EXPERIMENTS_FILE=off disables experiments (used by the eval runner so variants don't skew comparisons).
+ *
+ * Every assigned job gets a result record in the 'feedback' store; feedback events (POST /ai/feedback)
+ * are added to it and aggregated per variant by buildReport().
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createStore } = require('./storage');
+
+const EXPERIMENTS_FILE = process.env.EXPERIMENTS_FILE || path.join(__dirname, '..', 'experiments.json');
+
+// Feedback usually arrives long after the job expired, so results are kept separately (30 days by default)
+const FEEDBACK_TTL_MS = parseInt(process.env.FEEDBACK_TTL_MS, 10) || 30 * 24 * 60 * 60 * 1000;
+
+const FEEDBACK_EVENTS = ['thumbs_up', 'thumbs_down', 'copy', 'select'];
+
+const store = createStore('feedback');
+
+let cache = { mtimeMs: null, experiments: {} };
+
+function validateExperiment(id, experiment) {
+  if (!experiment || typeof experiment.jobType !== 'string') {
+    return 'jobType is required';
+  }
+  if (!Array.isArray(experiment.variants) || experiment.variants.length < 2) {
+    return 'at least 2 variants are required';
+  }
+  const names = experiment.variants.map(variant => variant && variant.name);
+  if (names.some(name => typeof name !== 'string' || name === '') || new Set(names).size !== names.length) {
+    return 'variant names must be unique, non-empty strings';
+  }
+  if (experiment.variants.some(variant => !(variant.weight >= 0)) || experiment.variants.every(variant => !variant.weight)) {
+    return 'variant weights must be non-negative numbers, at least one positive';
+  }
+  return null;
+}
+
+/**
+ * Load experiment definitions (cached until the file changes)
+ * Invalid experiments are logged and skipped so a bad edit never breaks generation
+ * @returns {object} - Experiments keyed by id
+ */
+function loadExperiments() {
+  if (EXPERIMENTS_FILE === 'off') return {};
+
+  let stat;
+  try {
+    stat = fs.statSync(EXPERIMENTS_FILE);
+  } catch (error) {
+    return {};
+  }
+  if (cache.mtimeMs === stat.mtimeMs) {
+    return cache.experiments;
+  }
+
+  const experiments = {};
+  try {
+    const definitions = JSON.parse(fs.readFileSync(EXPERIMENTS_FILE, 'utf8'));
+    for (const [id, experiment] of Object.entries(definitions)) {
+      const problem = validateExperiment(id, experiment);
+      if (problem) {
+        console.warn(`[Experiments] Skipping experiment "${id}": ${problem}`);
+        continue;
+      }
+      experiments[id] = { id, unit: 'user', enabled: true, ...experiment };
+    }
+  } catch (error) {
+    console.error(`[Experiments] Failed to load ${EXPERIMENTS_FILE}:`, error.message);
+  }
+
+  cache = { mtimeMs: stat.mtimeMs, experiments };
+  console.log(`[Experiments] Loaded ${Object.keys(experiments).length} experiments`);
+  return experiments;
+}
+
+// Stable bucket in [0, 1) for a unit within an experiment
+function bucket(experimentId, unitId) {
+  const hash = crypto.createHash('sha1').update(`${experimentId}:${unitId}`).digest();
+  return hash.readUInt32BE(0) / 0x100000000;
+}
+
+/**
+ * Assign a job to a variant of the active experiment for its type
+ * @param {object} job - Job (type, userId, id)
+ * @returns {{ id: string, variant: string }|null} - Assignment, null when no experiment runs for the job type
+ */
+function assignVariant(job) {
+  const experiment = Object.values(loadExperiments()).find(candidate => candidate.enabled && candidate.jobType === job.type);
+  if (!experiment) return null;
+
+  // Anonymous requests fall back to per-request assignment
+  const unitId = experiment.unit === 'user' && job.userId ? job.userId : job.id;
+  const totalWeight = experiment.variants.reduce((sum, variant) => sum + (variant.weight || 0), 0);
+  let point = bucket(experiment.id, unitId) * totalWeight;
+  const variant = experiment.variants.find(candidate => (point -= candidate.weight || 0) < 0)
+    || experiment.variants[experiment.variants.length - 1];
+
+  return { id: experiment.id, variant: variant.name };
+}
+
+/**
+ * Get a variant's overrides
+ * @param {{ id: string, variant: string }} assignment - Job's experiment assignment
+ * @returns {{ params: object, prompts: object, variables: object }} - Empty overrides if the variant no longer exists
+ */
+function getVariantOverrides(assignment) {
+  const experiment = assignment && loadExperiments()[assignment.id];
+  const variant = experiment && experiment.variants.find(candidate => candidate.name === assignment.variant);
+  return {
+    params: (variant && variant.params) || {},
+    prompts: (variant && variant.prompts) || {},
+    variables: (variant && variant.variables) || {},
+  };
+}
+
+function emptyResult(job) {
+  return {
+    jobId: job.jobId || job.id,
+    jobType: job.type,
+    userId: job.userId || null,
+    experiment: job.experiment ? job.experiment.id : null,
+    variant: job.experiment ? job.experiment.variant : null,
+    vote: null, // 'up' | 'down', the latest thumbs event wins
+    copies: 0,
+    selects: 0,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Record that a job was generated with a variant (the denominator of the report)
+ * @param {object} job - Job with `experiment` set
+ */
+async function recordExposure(job) {
+  await store.set(job.jobId || job.id, emptyResult(job), { ttlMs: FEEDBACK_TTL_MS });
+}
+
+/**
+ * Record a feedback event for a job
+ * @param {string} jobId - Job the feedback is about
+ * @param {string} event - thumbs_up | thumbs_down | copy | select
+ * @param {object|null} job - The job, if it still exists (needed when the job had no exposure record)
+ * @param {string|null} userId - Caller; another user's job is reported as not found
+ * @returns {Promise<object>} - Updated result record
+ * @throws {Error} FEEDBACK_EVENT_INVALID / JOB_NOT_FOUND
+ */
+async function recordFeedback(jobId, event, job, userId = null) {
+  if (!FEEDBACK_EVENTS.includes(event)) {
+    const error = new Error(`FEEDBACK_EVENT_INVALID: event must be one of ${FEEDBACK_EVENTS.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const result = (await store.get(jobId)) || (job && emptyResult(job));
+  if (!result || (result.userId && result.userId !== userId)) {
+    const error = new Error(`JOB_NOT_FOUND: No job or feedback record for ${jobId}`);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (event === 'thumbs_up') result.vote = 'up';
+  if (event === 'thumbs_down') result.vote = 'down';
+  if (event === 'copy') result.copies++;
+  if (event === 'select') result.selects++;
+  result.updatedAt = new Date().toISOString();
+
+  await store.set(jobId, result, { ttlMs: FEEDBACK_TTL_MS });
+  return result;
+}
+
+// Expired feedback is only purged lazily by some backends
+setInterval(() => {
+  store.purgeExpired().catch((error) => console.error('[Experiments] Feedback cleanup failed:', error.message));
+}, 60 * 60 * 1000).unref();
+
+function ratio(numerator, denominator) {
+  return denominator > 0 ? Math.round((numerator / denominator) * 1000) / 1000 : null;
+}
+
+/**
+ * Aggregate feedback per experiment variant
+ * winRate = thumbs up / (thumbs up + thumbs down); copyRate / selectRate = share of jobs copied / selected at least once
+ * @param {string} experimentId - Optional, only report this experiment
+ * @returns {Promise<Array>} - [{ id, jobType, enabled, variants: [{ name, jobs, thumbsUp, thumbsDown, winRate, ... }] }]
+ */
+async function buildReport(experimentId) {
+  const experiments = loadExperiments();
+  const results = (await store.entries()).map(([, result]) => result).filter(result => result.experiment);
+  const ids = [...new Set([...Object.keys(experiments), ...results.map(result => result.experiment)])]
+    .filter(id => !experimentId || id === experimentId);
+
+  return ids.map((id) => {
+    const experiment = experiments[id];
+    const experimentResults = results.filter(result => result.experiment === id);
+    const names = [...new Set([
+      ...(experiment ? experiment.variants.map(variant => variant.name) : []),
+      ...experimentResults.map(result => result.variant),
+    ])];
+
+    const variants = names.map((name) => {
+      const variantResults = experimentResults.filter(result => result.variant === name);
+      const thumbsUp = variantResults.filter(result => result.vote === 'up').length;
+      const thumbsDown = variantResults.filter(result => result.vote === 'down').length;
+      const copied = variantResults.filter(result => result.copies > 0).length;
+      const selected = variantResults.filter(result => result.selects > 0).length;
+      return {
+        name,
+        jobs: variantResults.length,
+        thumbsUp,
+        thumbsDown,
+        winRate: ratio(thumbsUp, thumbsUp + thumbsDown),
+        copies: variantResults.reduce((sum, result) => sum + result.copies, 0),
+        copyRate: ratio(copied, variantResults.length),
+        selects: variantResults.reduce((sum, result) => sum + result.selects, 0),
+        selectRate: ratio(selected, variantResults.length),
+      };
+    });
+
+    return {
+      id,
+      jobType: experiment ? experiment.jobType : (experimentResults[0] && experimentResults[0].jobType) || null,
+      enabled: experiment ? experiment.enabled !== false : false,
+      variants,
+    };
+  });
+}
+
+module.exports = {
+  FEEDBACK_EVENTS,
+  assignVariant,
+  getVariantOverrides,
+  recordExposure,
+  recordFeedback,
+  buildReport,
+};
@@ -0,0 +1,177 @@
+/**
+ * Firebase ID token verification
+ *
+ * ID tokens are RS256 JWTs signed by one of Google's rotating keys. The keys are fetched from
+ * FIREBASE_CERTS_URL (default: Google's securetoken JWKS) and cached for as long as the response's
+ * Cache-Control max-age allows; an unknown key id triggers a refresh. FIREBASE_CERTS_URL may also point at
+ * a local file (JWKS or { kid: PEM certificate } map), e.g. the dev keypair from scripts/dev-token.js.
+ *
+ * Checks follow the Firebase Admin SDK: alg RS256 with a known kid, iss https://securetoken.google.com/<project>,
+ * aud <project> (FIREBASE_PROJECT_ID), non-empty sub, exp in the future, iat and auth_time in the past.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const axios = require('axios');
+
+const DEFAULT_CERTS_URL = 'https://www.googleapis.com/service_accounts/v1/jwk/securetoken@system.gserviceaccount.com';
+const DEFAULT_CACHE_MS = 60 * 60 * 1000;
+// Unknown kids refetch the key set at most this often, so forged kids cannot hammer the upstream
+const MIN_REFRESH_MS = 30 * 1000;
+const CLOCK_SKEW_SECONDS = 60;
+
+let keyCache = { source: null, keys: new Map(), expiresAt: 0, fetchedAt: 0 };
+let pendingFetch = null;
+
+function authError(message, code = 'AUTH_INVALID_TOKEN') {
+  const error = new Error(`${code}: ${message}`);
+  error.code = code;
+  error.statusCode = code === 'AUTH_NOT_CONFIGURED' ? 503 : 401;
+  return error;
+}
+
+function getProjectId() {
+  return (process.env.FIREBASE_PROJECT_ID || '').trim();
+}
+
+function getCertsSource() {
+  return (process.env.FIREBASE_CERTS_URL || DEFAULT_CERTS_URL).trim();
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+/**
+ * Turn a JWKS ({ keys: [...] }) or a { kid: PEM certificate } map into kid -> KeyObject
+ */
+function parseKeySet(body) {
+  const keys = new Map();
+  if (body && Array.isArray(body.keys)) {
+    for (const jwk of body.keys) {
+      if (jwk.kid && jwk.kty === 'RSA') {
+        keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+      }
+    }
+  } else if (body && typeof body === 'object') {
+    for (const [kid, pem] of Object.entries(body)) {
+      keys.set(kid, crypto.createPublicKey(pem));
+    }
+  }
+  return keys;
+}
+
+function maxAgeMs(cacheControl) {
+  const match = /max-age=(\d+)/.exec(cacheControl || '');
+  return match ? parseInt(match[1], 10) * 1000 : DEFAULT_CACHE_MS;
+}
+
+async function fetchKeySet(source) {
+  if (!/^https?:\/\//.test(source)) {
+    // Local files are re-read whenever a key is missing, no HTTP caching to honour
+    return { keys: parseKeySet(JSON.parse(fs.readFileSync(source, 'utf8'))), ttlMs: DEFAULT_CACHE_MS };
+  }
+  const response = await axios.get(source, { timeout: 10000 });
+  return { keys: parseKeySet(response.data), ttlMs: maxAgeMs(response.headers['cache-control']) };
+}
+
+async function refreshKeys(source) {
+  if (!pendingFetch) {
+    pendingFetch = fetchKeySet(source)
+      .then(({ keys, ttlMs }) => {
+        keyCache = { source, keys, expiresAt: Date.now() + ttlMs, fetchedAt: Date.now() };
+        console.log(`[firebaseAuth] Loaded ${keys.size} signing keys from ${source}`);
+      })
+      .finally(() => {
+        pendingFetch = null;
+      });
+  }
+  await pendingFetch;
+}
+
+/**
+ * Public key for a token's kid, refreshing the cached key set when it expired or lacks the kid
+ */
+async function getSigningKey(kid) {
+  const source = getCertsSource();
+  const stale = keyCache.source !== source || Date.now() >= keyCache.expiresAt;
+  const missing = !keyCache.keys.has(kid) && Date.now() - keyCache.fetchedAt >= MIN_REFRESH_MS;
+
+  if (stale || missing) {
+    try {
+      await refreshKeys(source);
+    } catch (error) {
+      // Keep serving the previous keys while the upstream is unavailable
+      console.error(`[firebaseAuth] Failed to load signing keys from ${source}:`, error.message);
+      if (keyCache.keys.size === 0) {
+        throw authError('Signing keys unavailable', 'AUTH_KEYS_UNAVAILABLE');
+      }
+    }
+  }
+  return keyCache.keys.get(kid) || null;
+}
+
+/**
+ * Verify a Firebase ID token
+ * @param {string} token - Compact JWT
+ * @returns {Promise<object>} - Verified claims (uid in sub)
+ * @throws {Error} AUTH_INVALID_TOKEN / AUTH_TOKEN_EXPIRED (statusCode 401), AUTH_NOT_CONFIGURED (503)
+ */
+async function verifyIdToken(token) {
+  const projectId = getProjectId();
+  if (!projectId) {
+    throw authError('FIREBASE_PROJECT_ID is not set', 'AUTH_NOT_CONFIGURED');
+  }
+
+  const segments = (token || '').split('.');
+  if (segments.length !== 3) {
+    throw authError('Malformed token');
+  }
+
+  let header;
+  let claims;
+  try {
+    header = decodeSegment(segments[0]);
+    claims = decodeSegment(segments[1]);
+  } catch (error) {
+    throw authError('Malformed token');
+  }
+
+  if (header.alg !== 'RS256') {
+    throw authError(`Unexpected algorithm ${header.alg}`);
+  }
+  const key = header.kid && await getSigningKey(header.kid);
+  if (!key) {
+    throw authError('Unknown signing key');
+  }
+
+  const signedData = Buffer.from(`${segments[0]}.${segments[1]}`);
+  const signature = Buffer.from(segments[2], 'base64url');
+  if (!crypto.verify('RSA-SHA256', signedData, key, signature)) {
+    throw authError('Invalid signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (claims.aud !== projectId) {
+    throw authError(`Token audience ${claims.aud} is not ${projectId}`);
+  }
+  if (claims.iss !== `https://securetoken.google.com/${projectId}`) {
+    throw authError(`Unexpected issuer ${claims.iss}`);
+  }
+  if (typeof claims.sub !== 'string' || claims.sub === '' || claims.sub.length > 128) {
+    throw authError('Token has no valid subject');
+  }
+  if (!(claims.exp > now - CLOCK_SKEW_SECONDS)) {
+    throw authError('Token expired', 'AUTH_TOKEN_EXPIRED');
+  }
+  if (!(claims.iat <= now + CLOCK_SKEW_SECONDS)) {
+    throw authError('Token issued in the future');
+  }
+  if (claims.auth_time !== undefined && !(claims.auth_time <= now + CLOCK_SKEW_SECONDS)) {
+    throw authError('Token authenticated in the future');
+  }
+
+  return { ...claims, uid: claims.sub };
+}
+
+module.exports = { verifyIdToken };
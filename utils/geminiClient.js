@@ -1,15 +1,52 @@
 const axios = require('axios');
+const { createCircuitBreaker } = require('./circuitBreaker');
+const { createCassetteTransport } = require('./cassette');
 
 const apiKey = process.env.GEMINI_API_KEY;
 const PRIMARY_MODEL = 'gemini-3-flash-preview';
 const FALLBACK_MODEL = 'gemini-3-pro-preview';
-const LEGACY_MODEL = 'gemini-pro';
-const envModel = process.env.GEMINI_MODEL;
+const VISION_MODEL = 'gemini-3-pro-preview';
+
+// Ordered model fallback chains (comma-separated env overrides)
+// Legacy v1 models (gemini-pro) are left out: they reject responseSchema, see buildRequestBody
+const MODEL_CHAIN = parseModelChain(process.env.GEMINI_MODEL_CHAIN, [PRIMARY_MODEL, FALLBACK_MODEL]);
+const VISION_MODEL_CHAIN = parseModelChain(process.env.GEMINI_VISION_MODEL_CHAIN, [VISION_MODEL, PRIMARY_MODEL]);
+
+// Retry with jittered exponential backoff (per model, before falling back to the next one)
+const MAX_RETRIES = parseInt(process.env.GEMINI_MAX_RETRIES ?? '2', 10);
+const RETRY_BASE_MS = parseInt(process.env.GEMINI_RETRY_BASE_MS ?? '500', 10);
+const RETRY_MAX_MS = parseInt(process.env.GEMINI_RETRY_MAX_MS ?? '8000', 10);
+
+// Fails fast with GEMINI_CIRCUIT_OPEN while Gemini is degraded instead of piling up 60s timeouts
+const geminiBreaker = createCircuitBreaker({
+  name: 'gemini',
+  code: 'GEMINI_CIRCUIT_OPEN',
+  failureThreshold: parseInt(process.env.GEMINI_CIRCUIT_FAILURE_THRESHOLD ?? '5', 10),
+  resetTimeoutMs: parseInt(process.env.GEMINI_CIRCUIT_RESET_MS ?? '30000', 10),
+  // Only availability problems count: 429, 5xx, timeouts and network errors
+  isFailure: (error) => error.retryable === true,
+});
+
+// Record/replay of the HTTP traffic for offline tests (GEMINI_CASSETTE_MODE, see utils/cassette.js)
+const transport = createCassetteTransport({
+  name: 'gemini',
+  post: (url, body, config) => axios.post(url, body, config),
+});
 
 if (!apiKey || apiKey.trim() === '') {
   console.warn('[GeminiClient] ⚠️ GEMINI_API_KEY not set');
 }
 
+// Replaying a cassette needs no API key
+function isConfigured() {
+  return transport.mode === 'replay' || !!(apiKey && apiKey.trim() !== '');
+}
+
+function parseModelChain(value, defaults) {
+  const models = (value || '').split(',').map(m => m.trim()).filter(Boolean);
+  return models.length > 0 ? models : defaults;
+}
+
 function generateVariationNonce() {
   const timestamp = Date.now();
   const random = Math.random().toString(36).substring(2, 15);
@@ -23,10 +60,9 @@ function injectPromptVariation(text, nonce) {
   return text + variationMarker;
 }
 
-async function callGeminiViaRestAPI(modelName, contents, opts) {
-  const timeoutMs = opts.timeout ?? 60000;
-  
-  const baseUrl = 'https://generativelanguage.googleapis.com';
+function resolveModelEndpoint(modelName, method = 'generateContent') {
+  // GEMINI_API_BASE_URL points Gemini calls at a stand-in server (local testing, scripts/check-circuit.js)
+  const baseUrl = (process.env.GEMINI_API_BASE_URL || '').trim().replace(/\/+$/, '') || 'https://generativelanguage.googleapis.com';
   let apiVersion = 'v1beta';
   
   if (modelName.includes('1.0') || modelName === 'gemini-pro') {
@@ -47,9 +83,12 @@ async function callGeminiViaRestAPI(modelName, contents, opts) {
     }
   }
   
-  const apiPath = `/${apiVersion}/models/${actualModelName}:generateContent`;
-  const url = `${baseUrl}${apiPath}?key=${apiKey}`;
-  
+  const apiPath = `/${apiVersion}/models/${actualModelName}:${method}`;
+  const query = method === 'streamGenerateContent' ? `alt=sse&key=${apiKey}` : `key=${apiKey}`;
+  return { url: `${baseUrl}${apiPath}?${query}`, actualModelName, apiVersion };
+}
+
+function validateContents(contents, opts) {
   const seedValue = opts.randomSeed || Date.now() + Math.floor(Math.random() * 1000000);
   const variationNonce = `${seedValue}-${generateVariationNonce()}`;
   
@@ -152,6 +191,31 @@ async function callGeminiViaRestAPI(modelName, contents, opts) {
     throw new Error('Invalid contents: No valid content items found');
   }
   
+  return validatedContents;
+}
+
+/**
+ * Convert an output schema (utils/outputSchemas.js) to Gemini's responseSchema format
+ * Gemini uses upper-case OpenAPI types and does not support string length limits
+ */
+function toGeminiSchema(schema) {
+  const result = { type: schema.type.toUpperCase() };
+  if (schema.enum) result.enum = schema.enum;
+  if (schema.minItems !== undefined) result.minItems = schema.minItems;
+  if (schema.maxItems !== undefined) result.maxItems = schema.maxItems;
+  if (schema.items) result.items = toGeminiSchema(schema.items);
+  if (schema.properties) {
+    result.properties = {};
+    for (const [key, propertySchema] of Object.entries(schema.properties)) {
+      result.properties[key] = toGeminiSchema(propertySchema);
+    }
+    result.propertyOrdering = Object.keys(schema.properties);
+  }
+  if (schema.required) result.required = schema.required;
+  return result;
+}
+
+function buildRequestBody(contents, opts, apiVersion) {
   const generationConfig = {
     temperature: opts.temperature ?? 1.0,
     maxOutputTokens: opts.maxTokens ?? 2048,
@@ -159,13 +223,147 @@ async function callGeminiViaRestAPI(modelName, contents, opts) {
     topK: opts.topK ?? 50,
   };
   
-  const requestBody = {
-    contents: validatedContents,
+  // The v1 API has no structured output; the response is still validated (and repaired) by utils/structuredOutput.js
+  if (opts.responseSchema && apiVersion !== 'v1') {
+    generationConfig.responseMimeType = 'application/json';
+    generationConfig.responseSchema = toGeminiSchema(opts.responseSchema);
+  }
+  
+  return {
+    contents: validateContents(contents, opts),
     generationConfig: generationConfig,
   };
+}
+
+// Token counts from Gemini's usageMetadata (null when the response has none)
+// totalTokens includes thinking tokens, which are billed as output
+function toUsage(metadata) {
+  if (!metadata) return null;
+  const promptTokens = metadata.promptTokenCount || 0;
+  const candidateTokens = metadata.candidatesTokenCount || 0;
+  return {
+    promptTokens,
+    candidateTokens,
+    totalTokens: metadata.totalTokenCount || promptTokens + candidateTokens,
+  };
+}
+
+function geminiError(message, { status = null, retryable = false, retryAfterMs = null } = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.retryable = retryable;
+  error.retryAfterMs = retryAfterMs;
+  return error;
+}
+
+function errorForStatus(status, data, headers, modelName) {
+  const message = data?.error?.message || `HTTP ${status}`;
+  
+  if (status === 404) {
+    return geminiError(`GEMINI_MODEL_NOT_FOUND: Model "${modelName}" not found`, { status });
+  }
+  if (status === 403) {
+    return geminiError('GEMINI_PERMISSION_DENIED: API key permission denied', { status });
+  }
+  if (status === 429) {
+    const retryAfterSeconds = parseInt(headers?.['retry-after'], 10);
+    return geminiError(`GEMINI_RATE_LIMITED: ${message}`, {
+      status,
+      retryable: true,
+      retryAfterMs: Number.isNaN(retryAfterSeconds) ? null : retryAfterSeconds * 1000,
+    });
+  }
+  return geminiError(`GEMINI_API_ERROR: ${message}`, { status, retryable: status >= 500 });
+}
+
+function toGeminiError(error, modelName) {
+  // Already classified by errorForStatus/geminiError (AxiosError also has .status, so check retryable)
+  if (error.retryable !== undefined) {
+    return error;
+  }
+  if (error.response) {
+    return errorForStatus(error.response.status, error.response.data, error.response.headers, modelName);
+  }
+  if (error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
+    return geminiError('GEMINI_TIMEOUT: Request timed out', { retryable: true });
+  }
+  if (['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT', 'EPIPE'].includes(error.code)) {
+    return geminiError(`GEMINI_NETWORK_ERROR: ${error.message}`, { retryable: true });
+  }
+  return error;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function backoffDelay(retry, error) {
+  // Full jitter: random delay in [0, min(max, base * 2^retry)]
+  const ceiling = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** retry);
+  const delay = Math.floor(Math.random() * ceiling);
+  return error.retryAfterMs ? Math.max(delay, Math.min(error.retryAfterMs, RETRY_MAX_MS)) : delay;
+}
+
+/**
+ * Run an upstream call across an ordered model chain
+ * Retryable errors (429, 5xx, timeouts, network) are retried with jittered exponential backoff,
+ * then the next model is tried. Missing models skip straight to the next one.
+ * Any other error (permission denied, bad request, ...) is thrown immediately.
+ * @param {Array<string>} models - Ordered model chain
+ * @param {function} attemptFn - async (modelName) => result
+ * @returns {Promise<{ result: any, model: string, attempts: number }>}
+ */
+async function withRetryAndFallback(models, attemptFn) {
+  let attempts = 0;
+  let lastError = null;
+  
+  for (const model of models) {
+    for (let retry = 0; retry <= MAX_RETRIES; retry++) {
+      attempts++;
+      try {
+        const result = await attemptFn(model);
+        if (attempts > 1) {
+          console.log(`[GeminiClient] ✅ Succeeded with ${model} after ${attempts} attempts`);
+        }
+        return { result, model, attempts };
+      } catch (error) {
+        lastError = error;
+        
+        if (error.message.startsWith('GEMINI_MODEL_NOT_FOUND')) {
+          console.warn(`[GeminiClient] Model ${model} not found, falling back to next model`);
+          break;
+        }
+        if (!error.retryable) {
+          error.attempts = attempts;
+          throw error;
+        }
+        if (retry === MAX_RETRIES) {
+          console.warn(`[GeminiClient] ${model} failed after ${retry + 1} attempts (${error.message}), falling back to next model`);
+          break;
+        }
+        
+        const delay = backoffDelay(retry, error);
+        console.warn(`[GeminiClient] ${model} attempt ${retry + 1} failed (${error.message}), retrying in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+  
+  lastError.attempts = attempts;
+  throw lastError;
+}
+
+async function callGeminiViaRestAPI(modelName, contents, opts) {
+  return geminiBreaker.execute(() => postGenerateContent(modelName, contents, opts));
+}
+
+async function postGenerateContent(modelName, contents, opts) {
+  const timeoutMs = opts.timeout ?? 60000;
+  const { url, actualModelName, apiVersion } = resolveModelEndpoint(modelName);
+  const requestBody = buildRequestBody(contents, opts, apiVersion);
   
   try {
-    const response = await axios.post(url, requestBody, {
+    const response = await transport.post(url, requestBody, {
       headers: {
         'Content-Type': 'application/json',
         'Accept': 'application/json',
@@ -175,16 +373,7 @@ async function callGeminiViaRestAPI(modelName, contents, opts) {
     });
     
     if (response.status >= 400) {
-      const errorData = response.data?.error || {};
-      const message = errorData.message || `HTTP ${response.status}`;
-      
-      if (response.status === 404) {
-        throw new Error(`GEMINI_MODEL_NOT_FOUND: Model "${actualModelName}" not found`);
-      }
-      if (response.status === 403) {
-        throw new Error('GEMINI_PERMISSION_DENIED: API key permission denied');
-      }
-      throw new Error(`GEMINI_API_ERROR: ${message}`);
+      throw errorForStatus(response.status, response.data, response.headers, actualModelName);
     }
     
     if (response.data?.candidates?.[0]?.content?.parts) {
@@ -193,37 +382,92 @@ async function callGeminiViaRestAPI(modelName, contents, opts) {
         if (part?.text) fullText += part.text;
       }
       if (fullText.trim()) {
-        return fullText;
+        return { text: fullText, usage: toUsage(response.data.usageMetadata) };
       }
     }
     
     throw new Error('GEMINI_EMPTY_RESPONSE: No text in response');
   } catch (error) {
-    if (error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
-      throw new Error('GEMINI_TIMEOUT: Request timed out');
+    throw toGeminiError(error, actualModelName);
+  }
+}
+
+/**
+ * Streaming variant of callGeminiViaRestAPI using :streamGenerateContent (SSE)
+ * Yields text chunks as Gemini produces them, returns the token usage (sent with the last chunk)
+ */
+async function* streamGeminiViaRestAPI(modelName, contents, opts) {
+  const timeoutMs = opts.timeout ?? 60000;
+  const { url, actualModelName, apiVersion } = resolveModelEndpoint(modelName, 'streamGenerateContent');
+  const requestBody = buildRequestBody(contents, opts, apiVersion);
+  
+  const response = await geminiBreaker.execute(async () => {
+    try {
+      return await transport.post(url, requestBody, {
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'text/event-stream',
+        },
+        timeout: timeoutMs,
+        responseType: 'stream',
+      });
+    } catch (error) {
+      // Error bodies arrive as a stream too - read them so the message can be reported
+      if (error.response?.data && typeof error.response.data.on === 'function') {
+        let raw = '';
+        for await (const chunk of error.response.data) raw += chunk.toString();
+        try {
+          error.response.data = JSON.parse(raw);
+        } catch (e) {
+          error.response.data = {};
+        }
+      }
+      throw toGeminiError(error, actualModelName);
     }
-    if (error.response) {
-      const status = error.response.status;
-      const errorData = error.response.data?.error || {};
-      const message = errorData.message || `HTTP ${status}`;
+  });
+  
+  let buffer = '';
+  let producedText = false;
+  let usage = null;
+  try {
+    for await (const chunk of response.data) {
+      buffer += chunk.toString();
       
-      if (status === 404) {
-        throw new Error(`GEMINI_MODEL_NOT_FOUND: Model not found`);
-      }
-      if (status === 403) {
-        throw new Error('GEMINI_PERMISSION_DENIED: API key permission denied');
+      // SSE events are separated by a blank line
+      let boundary;
+      while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+        const rawEvent = buffer.substring(0, boundary);
+        buffer = buffer.substring(boundary).replace(/^\r?\n\r?\n/, '');
+        
+        const dataLines = rawEvent
+          .split(/\r?\n/)
+          .filter(line => line.startsWith('data:'))
+          .map(line => line.substring(5).trim());
+        if (dataLines.length === 0) continue;
+        
+        const payload = JSON.parse(dataLines.join('\n'));
+        usage = toUsage(payload?.usageMetadata) || usage;
+        let text = '';
+        for (const part of payload?.candidates?.[0]?.content?.parts || []) {
+          if (part?.text) text += part.text;
+        }
+        if (text) {
+          producedText = true;
+          yield text;
+        }
       }
-      throw new Error(`GEMINI_API_ERROR: ${message}`);
     }
-    throw error;
+  } catch (error) {
+    throw toGeminiError(error, actualModelName);
+  }
+  
+  if (!producedText) {
+    throw new Error('GEMINI_EMPTY_RESPONSE: No text in response');
   }
+  return usage;
 }
 
-async function runGemini(prompt, opts = {}) {
-  if (!apiKey || apiKey.trim() === '') {
-    throw new Error('GEMINI_API_UNAVAILABLE: GEMINI_API_KEY not set');
-  }
-  
+function buildPromptContents(prompt, opts) {
   let actualPrompt = prompt;
   if (!actualPrompt || actualPrompt.trim().length === 0) {
     if (opts.userPrompt && opts.userPrompt.trim().length > 0) {
@@ -233,54 +477,85 @@ async function runGemini(prompt, opts = {}) {
     }
   }
   
-  let modelToUse = PRIMARY_MODEL;
-  
-  if (envModel && envModel.trim() !== '' && (envModel.includes('1.0') || envModel === 'gemini-pro')) {
-    modelToUse = PRIMARY_MODEL;
-  }
-  
-  if (modelToUse !== PRIMARY_MODEL) {
-    modelToUse = PRIMARY_MODEL;
-  }
-  
-  if (modelToUse.includes('1.0') && !modelToUse.includes('3')) {
-    modelToUse = PRIMARY_MODEL;
-  }
-  
   const seedValue = opts.randomSeed || Date.now() + Math.floor(Math.random() * 1000000);
   const variationNonce = `${seedValue}-${generateVariationNonce()}`;
   
-  let contents;
   if (opts.systemPrompt && opts.userPrompt) {
     const systemText = opts.systemPrompt.trim();
     const userText = injectPromptVariation(opts.userPrompt.trim(), variationNonce);
-    contents = [
+    return [
       { role: 'user', parts: [{ text: systemText }] },
       { role: 'model', parts: [{ text: 'Understood.' }] },
       { role: 'user', parts: [{ text: userText }] }
     ];
-  } else {
-    const promptText = injectPromptVariation(actualPrompt.trim(), variationNonce);
-    contents = [{ role: 'user', parts: [{ text: promptText }] }];
   }
   
-  try {
-    return await callGeminiViaRestAPI(modelToUse, contents, opts);
-  } catch (error) {
-    throw error;
+  const promptText = injectPromptVariation(actualPrompt.trim(), variationNonce);
+  return [{ role: 'user', parts: [{ text: promptText }] }];
+}
+
+/**
+ * Generate text, retrying and falling back across the model chain
+ * @param {string} prompt - Prompt text
+ * @param {object} opts - Generation options (systemPrompt, userPrompt, temperature, maxTokens, ...)
+ * @returns {Promise<{ text: string, model: string, attempts: number, usage: object|null }>}
+ */
+async function runGeminiWithMeta(prompt, opts = {}) {
+  if (!isConfigured()) {
+    throw new Error('GEMINI_API_UNAVAILABLE: GEMINI_API_KEY not set');
   }
+  
+  const contents = buildPromptContents(prompt, opts);
+  const { result, model, attempts } = await withRetryAndFallback(
+    MODEL_CHAIN,
+    (modelName) => callGeminiViaRestAPI(modelName, contents, opts)
+  );
+  return { text: result.text, model, attempts, usage: result.usage };
 }
 
-async function runGeminiWithImage(prompt, imageBase64, imageMimeType = 'image/jpeg', opts = {}) {
-  if (!apiKey || apiKey.trim() === '') {
-    throw new Error('GEMINI_API_KEY missing');
+async function runGemini(prompt, opts = {}) {
+  const { text } = await runGeminiWithMeta(prompt, opts);
+  return text;
+}
+
+/**
+ * Streaming counterpart of runGeminiWithMeta
+ * Retries and model fallback apply until the first chunk arrives; once output has started,
+ * errors are propagated to the consumer.
+ * @param {string} prompt - Prompt text (same semantics and opts as runGemini)
+ * @param {object} opts - Generation options
+ * @returns {AsyncGenerator<string, { model: string, attempts: number, usage: object|null }>} - Partial text chunks,
+ *          in order; the generator's return value reports which model answered and the token usage
+ */
+async function* streamGemini(prompt, opts = {}) {
+  if (!isConfigured()) {
+    throw new Error('GEMINI_API_UNAVAILABLE: GEMINI_API_KEY not set');
   }
   
-  const baseUrl = 'https://generativelanguage.googleapis.com';
-  const modelName = 'gemini-3-pro-preview';
-  const apiVersion = 'v1beta';
-  const apiPath = `/${apiVersion}/models/${modelName}:generateContent`;
-  const url = `${baseUrl}${apiPath}?key=${apiKey}`;
+  const contents = buildPromptContents(prompt, opts);
+  const { result, model, attempts } = await withRetryAndFallback(MODEL_CHAIN, async (modelName) => {
+    const iterator = streamGeminiViaRestAPI(modelName, contents, opts);
+    const first = await iterator.next();
+    return { iterator, first };
+  });
+  
+  const { iterator, first } = result;
+  let usage = first.done ? first.value : null;
+  if (!first.done) {
+    yield first.value;
+    usage = yield* iterator;
+  }
+  return { model, attempts, usage };
+}
+
+/**
+ * Generate text from an image + prompt, retrying and falling back across the vision model chain
+ * @returns {Promise<{ text: string, model: string, attempts: number, usage: object|null }>}
+ */
+async function runGeminiWithImageMeta(prompt, imageBase64, imageMimeType = 'image/jpeg', opts = {}) {
+  if (!isConfigured()) {
+    throw new Error('GEMINI_API_KEY missing');
+  }
   
   const variationNonce = generateVariationNonce();
   const promptText = injectPromptVariation(prompt.trim(), variationNonce);
@@ -298,52 +573,42 @@ async function runGeminiWithImage(prompt, imageBase64, imageMimeType = 'image/jp
     ]
   }];
   
-  const requestBody = {
-    contents: contents,
-    generationConfig: {
-      temperature: opts.temperature ?? 0.7,
-      maxOutputTokens: opts.maxTokens ?? 2048,
-      topP: opts.topP ?? 0.95,
-      topK: opts.topK ?? 40,
-    },
+  const visionOpts = {
+    ...opts,
+    temperature: opts.temperature ?? 0.7,
+    topK: opts.topK ?? 40,
   };
   
-  try {
-    const response = await axios.post(url, requestBody, {
-      headers: { 'Content-Type': 'application/json' },
-      timeout: opts.timeout ?? 60000,
-    });
-    
-    if (response.data?.candidates?.[0]?.content?.parts) {
-      let fullText = '';
-      for (const part of response.data.candidates[0].content.parts) {
-        if (part?.text) fullText += part.text;
-      }
-      if (fullText.trim()) {
-        return fullText;
-      }
-    }
-    
-    throw new Error('GEMINI_EMPTY_RESPONSE: No text in response');
-  } catch (error) {
-    if (error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
-      throw new Error('GEMINI_TIMEOUT: Request timed out');
-    }
-    if (error.response) {
-      const status = error.response.status;
-      const errorData = error.response.data?.error || {};
-      const message = errorData.message || `HTTP ${status}`;
-      
-      if (status === 404) {
-        throw new Error('GEMINI_MODEL_NOT_FOUND: Model not found');
-      }
-      if (status === 403) {
-        throw new Error('GEMINI_PERMISSION_DENIED: API key permission denied');
-      }
-      throw new Error(`GEMINI_API_ERROR: ${message}`);
-    }
-    throw error;
-  }
+  const { result, model, attempts } = await withRetryAndFallback(
+    VISION_MODEL_CHAIN,
+    (modelName) => callGeminiViaRestAPI(modelName, contents, visionOpts)
+  );
+  return { text: result.text, model, attempts, usage: result.usage };
+}
+
+async function runGeminiWithImage(prompt, imageBase64, imageMimeType = 'image/jpeg', opts = {}) {
+  const { text } = await runGeminiWithImageMeta(prompt, imageBase64, imageMimeType, opts);
+  return text;
+}
+
+/**
+ * Health snapshot of the Gemini upstream (circuit state, error rate, latency percentiles)
+ */
+function getGeminiHealth() {
+  return {
+    configured: isConfigured(),
+    models: MODEL_CHAIN,
+    ...(transport.mode !== 'off' ? { cassette: { mode: transport.mode, file: transport.file } } : {}),
+    circuit: geminiBreaker.getStats(),
+  };
 }
 
-module.exports = { runGemini, runGeminiWithImage };
+module.exports = {
+  getGeminiHealth,
+  runGemini,
+  runGeminiWithMeta,
+  streamGemini,
+  runGeminiWithImage,
+  runGeminiWithImageMeta,
+  MODEL_CHAIN,
+};
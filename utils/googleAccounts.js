@@ -0,0 +1,126 @@
+/**
+ * Connected Google accounts of a user
+ *
+ * A user can connect several Google accounts (e.g. one per brand); each is identified by its email.
+ * Connections made before accounts were identified are stored with an empty email and identified on
+ * first use by asking Google whose grant they are (a refresh plus tokeninfo, see probeTokens).
+ */
+
+const tokenStore = require('./tokenStore');
+const { createOAuthClient, probeTokens } = require('./oauthClient');
+
+// Retry identifying a legacy connection at most this often (Google unreachable, grant revoked)
+const IDENTIFY_RETRY_MS = 10 * 60 * 1000;
+const identifyAttempts = new Map();
+
+function accountError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+async function identifyLegacyAccount(userId) {
+  const lastAttempt = identifyAttempts.get(userId);
+  if (lastAttempt && Date.now() - lastAttempt < IDENTIFY_RETRY_MS) return;
+  identifyAttempts.set(userId, Date.now());
+
+  const tokens = await tokenStore.getTokens(userId, '');
+  if (!tokens) return;
+
+  const probe = await probeTokens(tokens);
+  if (probe.tokens) {
+    await tokenStore.updateTokens(userId, '', probe.tokens);
+  }
+  if (!probe.email) {
+    console.warn(`[googleAccounts] Could not identify the Google account of userId: ${userId} (${probe.health}: ${probe.error})`);
+    return;
+  }
+
+  await tokenStore.renameAccount(userId, '', normalizeEmail(probe.email));
+  identifyAttempts.delete(userId);
+  console.log(`[googleAccounts] Identified the Google account of userId: ${userId} as ${normalizeEmail(probe.email)}`);
+}
+
+/**
+ * A user's connected accounts, oldest connection first
+ * @param {string} userId - User id
+ * @returns {Promise<Array<{ email: string|null, connectedAt, lastRefreshedAt, lastUsedAt }>>} - email is null
+ *          only for a legacy connection that could not be identified yet
+ */
+async function listAccounts(userId) {
+  const accounts = await tokenStore.listAccounts(userId);
+  if (!accounts.some(account => !account.email)) {
+    return accounts;
+  }
+  await identifyLegacyAccount(userId);
+  return tokenStore.listAccounts(userId);
+}
+
+/**
+ * Pick the account a request targets
+ * Without an explicit account the user's only account is used; with several the caller has to choose
+ * @param {string} userId - User id
+ * @param {string|undefined} requested - Account email from the request
+ * @returns {Promise<string>} - Account email ('' for an unidentified legacy connection)
+ * @throws {Error} GOOGLE_NOT_CONNECTED (401), GOOGLE_ACCOUNT_NOT_FOUND (404), GOOGLE_ACCOUNT_REQUIRED (400)
+ */
+async function resolveAccount(userId, requested) {
+  const accounts = await listAccounts(userId);
+  if (accounts.length === 0) {
+    throw accountError('GOOGLE_NOT_CONNECTED: User not connected to Google Calendar. Please connect your Google Calendar first from the settings.', 401);
+  }
+
+  if (requested) {
+    const email = normalizeEmail(requested);
+    if (!accounts.some(account => account.email === email)) {
+      throw accountError(`GOOGLE_ACCOUNT_NOT_FOUND: Google account ${email} is not connected`, 404);
+    }
+    return email;
+  }
+
+  if (accounts.length > 1) {
+    const emails = accounts.map(account => account.email || '(unidentified)');
+    throw accountError(`GOOGLE_ACCOUNT_REQUIRED: Several Google accounts are connected, choose one with "account" (${emails.join(', ')})`, 400);
+  }
+  return accounts[0].email || '';
+}
+
+/**
+ * OAuth client authorized as one of the user's Google accounts
+ * Tokens Google refreshes during the request are merged back into the store
+ * @param {string} userId - User id
+ * @param {string|undefined} requested - Account email from the request (see resolveAccount)
+ * @returns {Promise<{ client: object, email: string|null }>}
+ */
+async function getAuthorizedClient(userId, requested) {
+  const email = await resolveAccount(userId, requested);
+  const tokens = await tokenStore.getTokens(userId, email);
+  if (!tokens) {
+    // Disconnected while the request was running
+    throw accountError('GOOGLE_NOT_CONNECTED: User not connected to Google Calendar. Please connect your Google Calendar first from the settings.', 401);
+  }
+
+  const client = createOAuthClient();
+  client.setCredentials(tokens);
+  client.on('tokens', (newTokens) => {
+    if (newTokens.refresh_token || newTokens.access_token) {
+      console.log(`[googleAccounts] Tokens refreshed for userId: ${userId} account: ${email || '(unidentified)'}, saving...`);
+      // Merged with the stored set atomically, so a concurrent refresh or reconnect is not overwritten
+      tokenStore.updateTokens(userId, email, newTokens)
+        .catch((error) => console.error('[googleAccounts] Failed to save refreshed tokens:', error.message));
+    }
+  });
+
+  return { client, email: email || null };
+}
+
+module.exports = {
+  normalizeEmail,
+  listAccounts,
+  resolveAccount,
+  getAuthorizedClient,
+};
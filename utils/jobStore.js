@@ -1,17 +1,29 @@
 /**
- * In-memory job storage for async operations
- * In production, replace with Redis or database
+ * Job storage for async operations
+ * Backed by a pluggable storage adapter (see utils/storage) selected with STORE_BACKEND,
+ * so jobs can survive restarts (sqlite) or be shared between instances (redis)
  */
 
-const jobs = new Map();
+const { EventEmitter } = require('events');
+const { createStore } = require('./storage');
+
+// Jobs expire 1 hour after their last update
+const JOB_TTL_MS = parseInt(process.env.JOB_TTL_MS, 10) || 60 * 60 * 1000;
+
+const store = createStore('jobs');
+
+// Emits 'job' with the full job snapshot on every create/update (consumed by SSE streams).
+// Events are process-local: subscribers only see jobs processed by this instance.
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
 
 /**
  * Create a new job
  * @param {string} jobId - Unique job identifier
  * @param {object} initialData - Initial job data
- * @returns {object} Job object
+ * @returns {Promise<object>} Job object
  */
-function createJob(jobId, initialData = {}) {
+async function createJob(jobId, initialData = {}) {
   const job = {
     id: jobId,
     jobId,
@@ -22,18 +34,19 @@ function createJob(jobId, initialData = {}) {
     updatedAt: new Date().toISOString(),
     ...initialData,
   };
-  jobs.set(jobId, job);
+  await store.set(jobId, job, { ttlMs: JOB_TTL_MS });
   console.log(`[JobStore] Created job: ${jobId}, status: ${job.status}, type: ${initialData.type || 'unknown'}`);
+  jobEvents.emit('job', job);
   return job;
 }
 
 /**
  * Get job by ID
  * @param {string} jobId - Job identifier
- * @returns {object|null} Job object or null if not found
+ * @returns {Promise<object|null>} Job object or null if not found
  */
-function getJob(jobId) {
-  return jobs.get(jobId) || null;
+async function getJob(jobId) {
+  return store.get(jobId);
 }
 
 /**
@@ -41,23 +54,24 @@ function getJob(jobId) {
  * @param {string} jobId - Job identifier
  * @param {string} status - New status ('pending' | 'done' | 'error')
  * @param {object} data - Additional data to store
+ * @returns {Promise<object|null>} Updated job or null if not found
  */
-function updateJob(jobId, status, data = {}) {
-  const job = jobs.get(jobId);
+async function updateJob(jobId, status, data = {}) {
+  const job = await store.get(jobId);
   if (!job) {
     console.warn(`[JobStore] Job not found: ${jobId}`);
     return null;
   }
-  
+
   // Standardize status values: queued | processing | completed | failed
-  const standardizedStatus = status === 'done' ? 'completed' : 
-                              status === 'error' ? 'failed' : 
+  const standardizedStatus = status === 'done' ? 'completed' :
+                              status === 'error' ? 'failed' :
                               status === 'pending' ? 'queued' :
                               status;
-  
+
   job.status = standardizedStatus;
   job.updatedAt = new Date().toISOString();
-  
+
   // Update result and error fields
   if (data.data !== undefined) {
     job.result = data.data;
@@ -65,11 +79,35 @@ function updateJob(jobId, status, data = {}) {
   if (data.error !== undefined) {
     job.error = data.error;
   }
-  
+
   Object.assign(job, data);
-  
-  jobs.set(jobId, job);
+
+  await store.set(jobId, job, { ttlMs: JOB_TTL_MS });
   console.log(`[JobStore] Updated job: ${jobId}, status: ${standardizedStatus}`);
+  jobEvents.emit('job', job);
+  return job;
+}
+
+/**
+ * Append a partial output chunk to a processing job (streaming generation)
+ * Stores the accumulated text as `partial` and notifies subscribers with the new delta
+ * @param {string} jobId - Job identifier
+ * @param {string} delta - Newly generated text
+ * @returns {Promise<object|null>} Updated job or null if not found
+ */
+async function appendJobPartial(jobId, delta) {
+  const job = await store.get(jobId);
+  if (!job) {
+    console.warn(`[JobStore] Job not found: ${jobId}`);
+    return null;
+  }
+
+  job.status = 'processing';
+  job.partial = (job.partial || '') + delta;
+  job.updatedAt = new Date().toISOString();
+
+  await store.set(jobId, job, { ttlMs: JOB_TTL_MS });
+  jobEvents.emit('job', job, { delta });
   return job;
 }
 
@@ -77,34 +115,44 @@ function updateJob(jobId, status, data = {}) {
  * Delete job (cleanup after completion)
  * @param {string} jobId - Job identifier
  */
-function deleteJob(jobId) {
-  jobs.delete(jobId);
+async function deleteJob(jobId) {
+  await store.delete(jobId);
   console.log(`[JobStore] Deleted job: ${jobId}`);
 }
 
 /**
- * Cleanup old jobs (older than 1 hour)
- * Run periodically to prevent memory leaks
+ * Cleanup expired jobs (older than JOB_TTL_MS since last update)
+ * Run periodically to prevent unbounded growth of memory/sqlite stores
  */
-function cleanupOldJobs() {
-  const oneHourAgo = Date.now() - (60 * 60 * 1000);
-  let cleaned = 0;
-  
-  for (const [jobId, job] of jobs.entries()) {
-    const createdAt = new Date(job.createdAt).getTime();
-    if (createdAt < oneHourAgo) {
-      jobs.delete(jobId);
-      cleaned++;
-    }
-  }
-  
+async function cleanupOldJobs() {
+  const cleaned = await store.purgeExpired();
+
   if (cleaned > 0) {
     console.log(`[JobStore] Cleaned up ${cleaned} old jobs`);
   }
 }
 
 // Run cleanup every 30 minutes
-setInterval(cleanupOldJobs, 30 * 60 * 1000);
+setInterval(() => {
+  cleanupOldJobs().catch((error) => console.error('[JobStore] Cleanup failed:', error.message));
+}, 30 * 60 * 1000).unref();
+
+/**
+ * Subscribe to job changes
+ * @param {function} listener - Called with (job, { delta }) after every create/update/partial append
+ *                              (delta is only set for streamed partial output)
+ * @param {object} filter - Optional { jobId, userId } to only receive matching jobs
+ * @returns {function} Unsubscribe function
+ */
+function subscribeToJobs(listener, filter = {}) {
+  const handler = (job, meta = {}) => {
+    if (filter.jobId && job.jobId !== filter.jobId) return;
+    if (filter.userId && job.userId !== filter.userId) return;
+    listener(job, meta);
+  };
+  jobEvents.on('job', handler);
+  return () => jobEvents.off('job', handler);
+}
 
 /**
  * Generate unique job ID
@@ -119,8 +167,9 @@ module.exports = {
   createJob,
   getJob,
   updateJob,
+  appendJobPartial,
   deleteJob,
   generateJobId,
   cleanupOldJobs,
+  subscribeToJobs,
 };
-
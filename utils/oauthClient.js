@@ -11,6 +11,35 @@ const SCOPES = [
   'https://www.googleapis.com/auth/calendar',
 ];
 
+// Scopes the app may request, by the short name clients pass to /auth/url?scopes=
+const SCOPE_ALIASES = {
+  email: 'https://www.googleapis.com/auth/userinfo.email',
+  calendar: 'https://www.googleapis.com/auth/calendar',
+  'calendar.events': 'https://www.googleapis.com/auth/calendar.events',
+  'calendar.readonly': 'https://www.googleapis.com/auth/calendar.readonly',
+};
+
+/**
+ * Resolve requested scope names to OAuth scopes
+ * @param {string|string[]|undefined} requested - Comma-separated or array of names from SCOPE_ALIASES; empty = SCOPES
+ * @returns {string[]} - Scope URLs, always including the email scope
+ * @throws {Error} OAUTH_SCOPE_INVALID (400) for names outside SCOPE_ALIASES
+ */
+function resolveScopes(requested) {
+  const names = (Array.isArray(requested) ? requested : String(requested || '').split(','))
+    .map(name => name.trim())
+    .filter(Boolean);
+  if (names.length === 0) return SCOPES;
+
+  const unknown = names.filter(name => !SCOPE_ALIASES[name]);
+  if (unknown.length > 0) {
+    const error = new Error(`OAUTH_SCOPE_INVALID: Unknown scopes ${unknown.join(', ')} (expected ${Object.keys(SCOPE_ALIASES).join(', ')})`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return [...new Set([SCOPE_ALIASES.email, ...names.map(name => SCOPE_ALIASES[name])])];
+}
+
 function createOAuthClient() {
   const clientId = (GOOGLE_CLIENT_ID || '').trim();
   const clientSecret = (GOOGLE_CLIENT_SECRET || '').trim();
@@ -24,17 +53,90 @@ function createOAuthClient() {
     throw new Error(`Missing Google OAuth environment variables: ${missing.join(', ')}`);
   }
   
-  return new google.auth.OAuth2(clientId, clientSecret, redirectUri);
+  // GOOGLE_OAUTH_BASE_URL points token, revoke and tokeninfo calls at a stand-in server (local testing)
+  const baseUrl = (process.env.GOOGLE_OAUTH_BASE_URL || '').trim().replace(/\/+$/, '');
+  const endpoints = baseUrl
+    ? { oauth2TokenUrl: `${baseUrl}/token`, oauth2RevokeUrl: `${baseUrl}/revoke`, tokenInfoUrl: `${baseUrl}/tokeninfo` }
+    : undefined;
+
+  return new google.auth.OAuth2({ clientId, clientSecret, redirectUri, endpoints });
+}
+
+function getGrantError(error) {
+  const data = (error.response && error.response.data) || {};
+  return { code: data.error || null, description: data.error_description || error.message };
+}
+
+/**
+ * Check a stored token set against Google with a refresh, then read the new access token's grant
+ * Google reports expired and revoked refresh tokens alike as invalid_grant ("Token has been expired or revoked."),
+ * so both are reported as revoked: either way the user has to reconnect
+ * @param {object} tokens - Stored token set (refresh_token required)
+ * @returns {Promise<{ health: string, email: string|null, scopes: string[], tokens: object|null, error: string|null }>}
+ *          health: valid | revoked | unknown (Google unreachable or misconfigured client);
+ *          tokens: the refreshed credentials when valid
+ */
+async function probeTokens(tokens) {
+  const storedScopes = (tokens.scope || '').split(' ').filter(Boolean);
+  const client = createOAuthClient();
+  // Only the refresh token, so getAccessToken() always performs a refresh
+  client.setCredentials({ refresh_token: tokens.refresh_token });
+
+  let credentials;
+  try {
+    await client.getAccessToken();
+    credentials = client.credentials;
+  } catch (error) {
+    const { code, description } = getGrantError(error);
+    const health = code === 'invalid_grant' ? 'revoked' : 'unknown';
+    return { health, email: null, scopes: storedScopes, tokens: null, error: description };
+  }
+
+  try {
+    const info = await client.getTokenInfo(credentials.access_token);
+    return { health: 'valid', email: info.email || null, scopes: info.scopes, tokens: credentials, error: null };
+  } catch (error) {
+    // The refresh worked, only the grant details are missing
+    return { health: 'valid', email: null, scopes: storedScopes, tokens: credentials, error: getGrantError(error).description };
+  }
+}
+
+/**
+ * Revoke a grant with Google; revoking the refresh token also invalidates its access tokens
+ * @param {object} tokens - Stored token set
+ * @returns {Promise<{ alreadyRevoked: boolean }>}
+ * @throws {Error} when Google could not be reached or refused for another reason
+ */
+async function revokeTokens(tokens) {
+  const client = createOAuthClient();
+  try {
+    await client.revokeToken(tokens.refresh_token || tokens.access_token);
+    return { alreadyRevoked: false };
+  } catch (error) {
+    // Google answers invalid_token for grants that were already revoked or have expired
+    if (getGrantError(error).code === 'invalid_token') {
+      return { alreadyRevoked: true };
+    }
+    throw error;
+  }
 }
 
-function generateAuthUrl(userId) {
+/**
+ * Build the Google consent URL
+ * @param {string} state - Signed state token (utils/oauthState.js), returned to the callback
+ * @param {string[]} scopes - OAuth scopes to request
+ * @param {string} [loginHint] - Email of the account to preselect (reconnecting an account)
+ */
+function generateAuthUrl(state, scopes = SCOPES, loginHint) {
   try {
     const client = createOAuthClient();
     return client.generateAuthUrl({
       access_type: 'offline',
-      prompt: 'consent',
-      scope: SCOPES,
-      state: userId || '', // Pass userId in state parameter for callback
+      // select_account lets users with several Google accounts connect another one
+      prompt: 'select_account consent',
+      scope: scopes,
+      state,
+      ...(loginHint && { login_hint: loginHint }),
     });
   } catch (error) {
     console.error('[generateAuthUrl] Error:', error.message);
@@ -43,7 +145,11 @@ function generateAuthUrl(userId) {
 }
 
 module.exports = {
+  SCOPES,
   createOAuthClient,
   generateAuthUrl,
+  resolveScopes,
+  probeTokens,
+  revokeTokens,
 };
 
@@ -0,0 +1,160 @@
+/**
+ * Signed, expiring, single-use OAuth state tokens
+ *
+ * /auth/url issues a state that carries the user id, the app's return URL and the requested scopes:
+ *   base64url(JSON payload) + "." + base64url(HMAC-SHA256(payload, OAUTH_STATE_SECRET))
+ * The payload's nonce is recorded in the storage backend (STORE_BACKEND) until the state expires and
+ * is deleted when the callback consumes it, so a state can be used once. Tampered, expired and replayed
+ * states are rejected, which stops callbacks that bind a Google account to somebody else's user id.
+ *
+ * Return URLs must start with one of the prefixes in OAUTH_RETURN_URLS (comma-separated, e.g.
+ * "instaflow://oauth,https://app.example.com/settings") so the callback cannot be used as an open redirect.
+ */
+
+const crypto = require('crypto');
+const { createStore } = require('./storage');
+
+const STATE_TTL_MS = Number(process.env.OAUTH_STATE_TTL_MS) || 10 * 60 * 1000;
+
+const nonces = createStore('oauthStates');
+
+let ephemeralSecret = null;
+
+function stateError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * HMAC key for state tokens
+ * Without OAUTH_STATE_SECRET, development uses a per-process random key (states do not survive a restart)
+ * @throws {Error} OAUTH_STATE_SECRET_MISSING in production
+ */
+function getSecret() {
+  const secret = (process.env.OAUTH_STATE_SECRET || '').trim();
+  if (secret) return secret;
+
+  if (process.env.NODE_ENV === 'production') {
+    throw stateError('OAUTH_STATE_SECRET_MISSING: Set OAUTH_STATE_SECRET to connect Google accounts', 503);
+  }
+  if (!ephemeralSecret) {
+    ephemeralSecret = crypto.randomBytes(32).toString('hex');
+    console.warn('[oauthState] OAUTH_STATE_SECRET not set - using a random key, pending sign-ins fail after a restart');
+  }
+  return ephemeralSecret;
+}
+
+function sign(encodedPayload) {
+  return crypto.createHmac('sha256', getSecret()).update(encodedPayload).digest('base64url');
+}
+
+function getAllowedReturnUrls() {
+  return (process.env.OAUTH_RETURN_URLS || '').split(',').map(value => value.trim()).filter(Boolean);
+}
+
+/**
+ * Check a return URL against OAUTH_RETURN_URLS
+ * @param {string} returnUrl - Deep link or web URL the callback redirects to
+ * @returns {string} - The URL
+ * @throws {Error} OAUTH_RETURN_URL_INVALID (400)
+ */
+function validateReturnUrl(returnUrl) {
+  let parsed;
+  try {
+    parsed = new URL(returnUrl);
+  } catch (error) {
+    throw stateError('OAUTH_RETURN_URL_INVALID: returnUrl must be an absolute URL', 400);
+  }
+  if (['javascript:', 'data:', 'vbscript:'].includes(parsed.protocol)) {
+    throw stateError('OAUTH_RETURN_URL_INVALID: returnUrl scheme is not allowed', 400);
+  }
+  if (!getAllowedReturnUrls().some(prefix => returnUrl.startsWith(prefix))) {
+    throw stateError('OAUTH_RETURN_URL_INVALID: returnUrl is not in OAUTH_RETURN_URLS', 400);
+  }
+  return returnUrl;
+}
+
+/**
+ * Issue a state token for an authorization request
+ * @param {object} params
+ * @param {string} params.userId - User the Google account is connected to
+ * @param {string|null} params.returnUrl - Where the callback redirects (validated against OAUTH_RETURN_URLS)
+ * @param {string[]} params.scopes - Requested OAuth scopes
+ * @returns {Promise<{ state: string, expiresAt: string }>}
+ */
+async function createState({ userId, returnUrl = null, scopes }) {
+  const nonce = crypto.randomBytes(16).toString('base64url');
+  const exp = Date.now() + STATE_TTL_MS;
+  const payload = {
+    uid: userId,
+    ret: returnUrl ? validateReturnUrl(returnUrl) : null,
+    scp: scopes,
+    nonce,
+    exp,
+  };
+
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const state = `${encodedPayload}.${sign(encodedPayload)}`;
+  await nonces.set(nonce, { userId, exp }, { ttlMs: STATE_TTL_MS });
+  return { state, expiresAt: new Date(exp).toISOString() };
+}
+
+/**
+ * Verify a state's signature and expiry without consuming it
+ * Used to find the return URL for error redirects, which must not depend on a tampered state
+ * @param {string} state - State from the callback query
+ * @returns {object} - Payload { uid, ret, scp, nonce, exp }
+ * @throws {Error} OAUTH_STATE_INVALID / OAUTH_STATE_EXPIRED (400)
+ */
+function verifyState(state) {
+  const [encodedPayload, signature, extra] = typeof state === 'string' ? state.split('.') : [];
+  if (!encodedPayload || !signature || extra !== undefined) {
+    throw stateError('OAUTH_STATE_INVALID: Missing or malformed OAuth state', 400);
+  }
+
+  const expected = Buffer.from(sign(encodedPayload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw stateError('OAUTH_STATE_INVALID: OAuth state signature mismatch', 400);
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw stateError('OAUTH_STATE_INVALID: OAuth state payload is not valid JSON', 400);
+  }
+  if (!payload.uid || !payload.nonce || !(payload.exp > 0)) {
+    throw stateError('OAUTH_STATE_INVALID: OAuth state payload is incomplete', 400);
+  }
+  if (payload.exp <= Date.now()) {
+    throw stateError('OAUTH_STATE_EXPIRED: OAuth state expired, start the connection again', 400);
+  }
+  return payload;
+}
+
+/**
+ * Verify and consume a state; each state is accepted once
+ * @param {string} state - State from the callback query
+ * @returns {Promise<{ userId: string, returnUrl: string|null, scopes: string[] }>}
+ * @throws {Error} OAUTH_STATE_INVALID / OAUTH_STATE_EXPIRED / OAUTH_STATE_REPLAYED (400)
+ */
+async function consumeState(state) {
+  const payload = verifyState(state);
+
+  // Atomic take: of two callbacks racing with the same state, only one removes the nonce
+  const issued = await nonces.take(payload.nonce);
+  if (!issued || issued.userId !== payload.uid) {
+    throw stateError('OAUTH_STATE_REPLAYED: OAuth state was already used, start the connection again', 400);
+  }
+
+  return { userId: payload.uid, returnUrl: payload.ret || null, scopes: payload.scp || [] };
+}
+
+module.exports = {
+  createState,
+  verifyState,
+  consumeState,
+  validateReturnUrl,
+};
@@ -0,0 +1,207 @@
+/**
+ * Output schemas for every generator, keyed by job type
+ * Each entry builds the schema from the job's inputs so requested counts (slides, hooks, days, ...)
+ * are enforced instead of padded afterwards. See utils/structuredOutput.js for the supported subset.
+ */
+
+const string = (extra = {}) => ({ type: 'string', ...extra });
+const stringList = (extra = {}) => ({ type: 'array', items: string({ minLength: 1 }), ...extra });
+const exactly = (count) => ({ minItems: count, maxItems: count });
+
+// Longest plan /ai/calendar generates (one item per day)
+const MAX_CALENDAR_DAYS = 31;
+
+function object(properties, required = Object.keys(properties)) {
+  return { type: 'object', properties, required };
+}
+
+function count(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+const schemas = {
+  captions: () => object({
+    captions: {
+      type: 'array',
+      ...exactly(3),
+      items: object({
+        style: string(),
+        text: string({ minLength: 10 }),
+        hashtags: stringList({ minItems: 3, maxItems: 6 }),
+      }),
+    },
+  }),
+
+  calendar: (input) => ({
+    type: 'array',
+    ...exactly(Math.min(count(input.days, 7), MAX_CALENDAR_DAYS)),
+    items: object({
+      day_of_week: string(),
+      content_type: string({ enum: ['Reel', 'Carousel', 'Story', 'Static Image', 'Meme'] }),
+      hook: string({ minLength: 1 }),
+      caption: string({ minLength: 1 }),
+      hashtag_set: stringList({ minItems: 1 }),
+      best_post_time: string(),
+      content_brief: string({ minLength: 1 }),
+      viral_angle: string(),
+      cta: string(),
+    }),
+  }),
+
+  strategy: () => object({
+    audience_profile: object({
+      age_groups: stringList(),
+      psychology: stringList(),
+      pain_points: stringList(),
+      motivations: stringList(),
+    }),
+    growth_plan: object({
+      reel_strategy: string(),
+      posting_frequency: string(),
+      content_style: string(),
+      what_to_avoid: string(),
+    }),
+    viral_content_ideas: {
+      type: 'array',
+      minItems: 1,
+      items: object({ hook: string(), angle: string(), why_it_works: string() }),
+    },
+    analytics: object({
+      best_times_IST: stringList(),
+      competition_strength: string(),
+      content_gap_opportunities: stringList(),
+    }),
+    hashtag_strategy: object({
+      low_comp: stringList(),
+      mid_comp: stringList(),
+      high_comp: stringList(),
+    }),
+    cta_strategy: string(),
+  }),
+
+  analyze: () => object({
+    trend_forecast_30_days: string({ minLength: 1 }),
+    top_5_viral_patterns: stringList(exactly(5)),
+    best_3_reel_formats: stringList(exactly(3)),
+    hashtag_clusters: object({
+      low: stringList({ minItems: 1 }),
+      mid: stringList({ minItems: 1 }),
+      high: stringList({ minItems: 1 }),
+    }),
+    untapped_content_ideas: stringList({ minItems: 1 }),
+    psychological_triggers: stringList({ minItems: 1 }),
+    common_mistakes: stringList({ minItems: 1 }),
+  }),
+
+  'reels-script': () => object({
+    hooks: stringList({ minItems: 1 }),
+    script: {
+      type: 'array',
+      minItems: 1,
+      items: object({
+        scene: string(),
+        visual: string({ minLength: 1 }),
+        voiceover: string({ minLength: 1 }),
+        on_screen_text: string(),
+      }),
+    },
+    cta: string({ minLength: 1 }),
+    caption: string({ minLength: 1 }),
+    hashtags: stringList(exactly(10)),
+  }),
+
+  'post-ideas': (input) => ({
+    type: 'array',
+    ...exactly(count(input.count, 5)),
+    items: object({
+      title: string({ minLength: 1 }),
+      description: string({ minLength: 1 }),
+      angle: string(),
+      audience: string(),
+      engagement: string(),
+    }),
+  }),
+
+  hashtags: (input) => stringList(exactly(count(input.count, 20))),
+
+  bio: () => object({
+    bio: string({ minLength: 10 }),
+  }),
+
+  hooks: (input) => object({
+    hooks: stringList({ ...exactly(count(input.count, 5)), items: string({ minLength: 6, maxLength: 100 }) }),
+  }),
+
+  'comment-reply': () => object({
+    reply: string({ minLength: 5 }),
+  }),
+
+  trends: () => object({
+    hashtags: stringList(exactly(20)),
+    topics: stringList(exactly(10)),
+    ideas: stringList(exactly(10)),
+  }),
+
+  carousel: (input) => object({
+    title: string({ minLength: 1 }),
+    caption: string({ minLength: 1 }),
+    slides: {
+      type: 'array',
+      ...exactly(count(input.slides, 5)),
+      items: object({
+        slideNumber: { type: 'integer' },
+        title: string({ minLength: 1 }),
+        content: string({ minLength: 1 }),
+      }),
+    },
+  }),
+
+  // POST /ai/image-captions
+  'image-captions': () => object({
+    analysis: object({ mood: string(), style: string(), scene: string() }),
+    captions: {
+      type: 'array',
+      ...exactly(5),
+      items: object({ text: string({ minLength: 1 }), hashtags: stringList({ minItems: 1 }) }),
+    },
+  }),
+
+  // POST /ai/caption-from-media step 1 (vision)
+  'image-attributes': () => object({
+    scene: string({ enum: ['indoor', 'outdoor'] }),
+    setting: string({ enum: ['travel', 'festival', 'casual', 'work', 'home', 'event', 'other'] }),
+    mood: string({ enum: ['calm', 'energetic', 'confident', 'happy', 'serious', 'playful', 'relaxed', 'other'] }),
+    time: string({ enum: ['day', 'night'] }),
+    occasion: string(),
+  }),
+
+  // POST /ai/caption-from-media step 2
+  'media-captions': () => object({
+    captions: {
+      type: 'array',
+      ...exactly(5),
+      items: object({
+        angle: string(),
+        text: string({ minLength: 1, maxLength: 150 }),
+        hashtags: stringList({ minItems: 1 }),
+      }),
+    },
+  }),
+};
+
+/**
+ * Get the output schema for a job type
+ * @param {string} jobType - Job type (captions, calendar, ...)
+ * @param {object} input - Job inputs (counts are read from here)
+ * @returns {object} - Schema
+ */
+function getOutputSchema(jobType, input = {}) {
+  const build = schemas[jobType];
+  if (!build) {
+    throw new Error(`OUTPUT_SCHEMA_MISSING: No output schema for job type "${jobType}"`);
+  }
+  return build(input);
+}
+
+module.exports = { getOutputSchema, MAX_CALENDAR_DAYS };
@@ -0,0 +1,175 @@
+/**
+ * Map an AI content calendar (/ai/calendar job output) to Google Calendar events
+ *
+ * Plan items are placed on the first date on or after the previous item (starting at startDate) that
+ * matches their day_of_week; items without a recognisable weekday take the next day.
+ * best_post_time is free text such as "7:30 PM IST" or "18:00-19:00". It is read in the zone it names,
+ * IST when it names none (the calendar prompt asks for IST); items without a time at all are scheduled at
+ * DEFAULT_POST_TIME in the events' own time zone. Events are created in the user's time zone and colored by content_type.
+ */
+
+const { zonedTimeToUtc, addDays, weekdayOf } = require('./timezone');
+const { normalizeContentType, CONTENT_TYPE_COLORS } = require('./eventOptions');
+
+const PLAN_TIME_ZONE = 'Asia/Kolkata';
+const DEFAULT_POST_TIME = '18:00';
+const MAX_SUMMARY_LENGTH = 100;
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Abbreviations the model uses in best_post_time; anything else is read as IST
+const ZONE_ABBREVIATIONS = {
+  IST: 'Asia/Kolkata',
+  UTC: 'UTC',
+  GMT: 'UTC',
+  BST: 'Europe/London',
+  CET: 'Europe/Berlin',
+  CEST: 'Europe/Berlin',
+  EST: 'America/New_York',
+  EDT: 'America/New_York',
+  CST: 'America/Chicago',
+  CDT: 'America/Chicago',
+  PST: 'America/Los_Angeles',
+  PDT: 'America/Los_Angeles',
+  GST: 'Asia/Dubai',
+  SGT: 'Asia/Singapore',
+  JST: 'Asia/Tokyo',
+  AEST: 'Australia/Sydney',
+  AEDT: 'Australia/Sydney',
+};
+
+/**
+ * Day of the week named in free text ('Tuesday', 'tue 7 PM'), 0 = Sunday, -1 without one
+ */
+function parseWeekday(dayOfWeek) {
+  const match = /\b(sun|mon|tue|wed|thu|fri|sat)/i.exec(String(dayOfWeek || ''));
+  return match ? WEEKDAYS.indexOf(match[1].toLowerCase()) : -1;
+}
+
+/**
+ * Read a post time from free text
+ * @param {string} value - e.g. "7:30 PM IST", "18:00", "6-7 PM", "8 AM GMT+5:30"
+ * @param {string} defaultTimeZone - Zone of times that name none (default IST, what the AI prompts ask for)
+ * @returns {{ time: string, timeZone: string|null, offsetMinutes: number|null }|null} - 'HH:mm' and the zone
+ *          (or fixed UTC offset) it is in, null without a time
+ */
+function parsePostTime(value, defaultTimeZone = PLAN_TIME_ZONE) {
+  const text = String(value || '');
+  const match = /(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?/i.exec(text);
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  // "6-7 PM": the meridiem of a range's end applies to its start
+  const meridiem = (match[3] || (/^\s*[-–]\s*\d{1,2}(?:[:.]\d{2})?\s*(am|pm)/i.exec(text.slice(match.index + match[0].length)) || [])[1] || '')
+    .replace(/\./g, '')
+    .toLowerCase();
+  if (meridiem === 'pm' && hours < 12) hours += 12;
+  if (meridiem === 'am' && hours === 12) hours = 0;
+  if (hours > 23 || minutes > 59) return null;
+
+  const time = `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+  const offset = /\b(?:GMT|UTC)\s*([+-])(\d{1,2})(?::?(\d{2}))?/i.exec(text);
+  if (offset) {
+    const offsetMinutes = (offset[1] === '-' ? -1 : 1) * (Number(offset[2]) * 60 + Number(offset[3] || 0));
+    return { time, timeZone: null, offsetMinutes };
+  }
+  const zone = (text.toUpperCase().match(/\b[A-Z]{3,4}\b/g) || []).find(word => ZONE_ABBREVIATIONS[word]);
+  return { time, timeZone: zone ? ZONE_ABBREVIATIONS[zone] : defaultTimeZone, offsetMinutes: null };
+}
+
+/**
+ * Instant of a parsed post time on a calendar date; without a post time DEFAULT_POST_TIME in timeZone
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {object|null} postTime - parsePostTime result
+ * @param {string} timeZone - IANA zone for the default
+ * @returns {Date}
+ */
+function postTimeToInstant(date, postTime, timeZone) {
+  if (!postTime) {
+    return zonedTimeToUtc(date, DEFAULT_POST_TIME, timeZone);
+  }
+  if (postTime.offsetMinutes !== null) {
+    return new Date(Date.parse(`${date}T${postTime.time}:00Z`) - postTime.offsetMinutes * 60 * 1000);
+  }
+  return zonedTimeToUtc(date, postTime.time, postTime.timeZone);
+}
+
+function formatHashtags(hashtags) {
+  return (Array.isArray(hashtags) ? hashtags : [])
+    .map(tag => String(tag).trim())
+    .filter(Boolean)
+    .map(tag => (tag.startsWith('#') ? tag : `#${tag}`))
+    .join(' ');
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+function describeItem(item, jobId, planDay) {
+  const sections = [
+    item.hook,
+    item.caption,
+    formatHashtags(item.hashtag_set),
+    item.content_brief && `Content brief: ${item.content_brief}`,
+    item.cta && `CTA: ${item.cta}`,
+    item.viral_angle && `Why it works: ${item.viral_angle}`,
+    `Scheduled via InstaFlow (plan ${jobId}, day ${planDay + 1})`,
+  ];
+  return sections.filter(Boolean).join('\n\n');
+}
+
+/**
+ * Build one timed event per plan item
+ * @param {object} params
+ * @param {object[]} params.plan - Calendar job data (day_of_week, best_post_time, hook, caption, ...)
+ * @param {string} params.jobId - Calendar job id, quoted in the description
+ * @param {string} params.startDate - 'YYYY-MM-DD' of the first plan day
+ * @param {string} params.timeZone - IANA zone the events are created in
+ * @param {number} params.durationMinutes - Event length
+ * @returns {Array<{ planDay, dayOfWeek, date, postTime, timeDefaulted, contentType, start: Date, end: Date, requestBody: object }>}
+ */
+function buildPlanEvents({ plan, jobId, startDate, timeZone, durationMinutes }) {
+  let cursor = startDate;
+  return plan.map((item, planDay) => {
+    const weekday = parseWeekday(item.day_of_week);
+    let date = cursor;
+    if (weekday >= 0) {
+      date = addDays(cursor, (weekday - weekdayOf(cursor) + 7) % 7);
+    }
+    cursor = addDays(date, 1);
+
+    const postTime = parsePostTime(item.best_post_time);
+    const start = postTimeToInstant(date, postTime, timeZone);
+    const end = new Date(start.getTime() + durationMinutes * 60 * 1000);
+    const title = item.content_type ? `${item.content_type}: ${item.hook || 'Post'}` : (item.hook || 'Post');
+    const contentType = normalizeContentType(item.content_type);
+
+    return {
+      planDay,
+      dayOfWeek: item.day_of_week || null,
+      date,
+      postTime: item.best_post_time || null,
+      timeDefaulted: !postTime,
+      contentType,
+      start,
+      end,
+      requestBody: {
+        summary: truncate(String(title), MAX_SUMMARY_LENGTH),
+        description: describeItem(item, jobId, planDay),
+        start: { dateTime: start.toISOString(), timeZone },
+        end: { dateTime: end.toISOString(), timeZone },
+        ...(contentType && { colorId: CONTENT_TYPE_COLORS[contentType] }),
+      },
+    };
+  });
+}
+
+module.exports = {
+  DEFAULT_POST_TIME,
+  parseWeekday,
+  parsePostTime,
+  postTimeToInstant,
+  buildPlanEvents,
+};
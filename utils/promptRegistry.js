@@ -0,0 +1,133 @@
+/**
+ * Prompt template registry
+ *
+ * Templates live in PROMPTS_DIR (default ./prompts) as <id>/v<N>.txt and use {{variable}} placeholders.
+ * The highest version of a prompt is active unless pinned with PROMPT_VERSIONS (e.g. "bio=1,hooks=2").
+ * Files are re-read when they change on disk, so prompt copy can be edited without a deploy.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PROMPTS_DIR = process.env.PROMPTS_DIR || path.join(__dirname, '..', 'prompts');
+const VERSION_FILE = /^v(\d+)\.txt$/;
+const PLACEHOLDER = /\{\{\s*([A-Za-z0-9_]+)\s*\}\}/g;
+
+const templateCache = new Map(); // filePath -> { mtimeMs, text }
+
+function parsePins(value) {
+  const pins = {};
+  for (const entry of (value || '').split(',')) {
+    const [id, version] = entry.split('=').map(part => part && part.trim());
+    if (id && version) {
+      pins[id] = parseInt(version.replace(/^v/i, ''), 10);
+    }
+  }
+  return pins;
+}
+
+/**
+ * List available versions of a prompt, ascending
+ * @param {string} id - Prompt id (directory name)
+ * @returns {number[]}
+ */
+function listVersions(id) {
+  const dir = path.join(PROMPTS_DIR, id);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .map(file => VERSION_FILE.exec(file))
+    .filter(Boolean)
+    .map(match => parseInt(match[1], 10))
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Version used when the caller does not ask for a specific one
+ * @param {string} id - Prompt id
+ * @returns {number|null}
+ */
+function getActiveVersion(id) {
+  const versions = listVersions(id);
+  if (versions.length === 0) return null;
+  // Read on every call so tools like the eval runner (scripts/eval.js) can switch pins in-process
+  const pinned = parsePins(process.env.PROMPT_VERSIONS)[id];
+  return versions.includes(pinned) ? pinned : versions[versions.length - 1];
+}
+
+function loadTemplate(id, version) {
+  const filePath = path.join(PROMPTS_DIR, id, `v${version}.txt`);
+  let stat;
+  try {
+    stat = fs.statSync(filePath);
+  } catch (error) {
+    throw new Error(`PROMPT_NOT_FOUND: Prompt "${id}" v${version} does not exist`);
+  }
+
+  const cached = templateCache.get(filePath);
+  if (cached && cached.mtimeMs === stat.mtimeMs) {
+    return cached.text;
+  }
+
+  // Files end with a newline; templates do not
+  const text = fs.readFileSync(filePath, 'utf8').replace(/\r?\n$/, '');
+  templateCache.set(filePath, { mtimeMs: stat.mtimeMs, text });
+  return text;
+}
+
+function templateVariables(text) {
+  return [...new Set([...text.matchAll(PLACEHOLDER)].map(match => match[1]))];
+}
+
+/**
+ * Render a prompt template
+ * @param {string} id - Prompt id
+ * @param {object} variables - Values for {{placeholders}}; every placeholder must be provided
+ * @param {object} options - { version } to render a specific version instead of the active one
+ * @returns {{ id: string, version: number, text: string }}
+ */
+function renderPrompt(id, variables = {}, { version } = {}) {
+  const resolvedVersion = version || getActiveVersion(id);
+  if (!resolvedVersion) {
+    throw new Error(`PROMPT_NOT_FOUND: No templates for prompt "${id}"`);
+  }
+
+  const template = loadTemplate(id, resolvedVersion);
+  const missing = templateVariables(template).filter(name => variables[name] === undefined || variables[name] === null);
+  if (missing.length > 0) {
+    throw new Error(`PROMPT_VARIABLE_MISSING: Prompt "${id}" v${resolvedVersion} needs ${missing.join(', ')}`);
+  }
+
+  const text = template.replace(PLACEHOLDER, (_, name) => String(variables[name]));
+  return { id, version: resolvedVersion, text };
+}
+
+/**
+ * Describe every registered prompt (used by GET /ai/prompts)
+ * @returns {Array<{ id, versions, activeVersion, variables }>}
+ */
+function listPrompts() {
+  if (!fs.existsSync(PROMPTS_DIR)) return [];
+
+  return fs.readdirSync(PROMPTS_DIR, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort()
+    .map((id) => {
+      const activeVersion = getActiveVersion(id);
+      return {
+        id,
+        versions: listVersions(id),
+        activeVersion,
+        pinned: parsePins(process.env.PROMPT_VERSIONS)[id] === activeVersion,
+        variables: activeVersion ? templateVariables(loadTemplate(id, activeVersion)) : [],
+      };
+    })
+    .filter(prompt => prompt.versions.length > 0);
+}
+
+module.exports = {
+  renderPrompt,
+  listPrompts,
+  listVersions,
+  getActiveVersion,
+};
@@ -0,0 +1,33 @@
+const {
+  runGeminiWithMeta,
+  streamGemini,
+  runGeminiWithImageMeta,
+  getGeminiHealth,
+} = require('../geminiClient');
+
+/**
+ * Google Gemini provider (REST API, see utils/geminiClient.js)
+ */
+function createGeminiProvider() {
+  return {
+    name: 'gemini',
+
+    generateText(prompt, opts = {}) {
+      return runGeminiWithMeta(prompt, opts);
+    },
+
+    streamText(prompt, opts = {}) {
+      return streamGemini(prompt, opts);
+    },
+
+    generateWithImage(prompt, imageBase64, imageMimeType, opts = {}) {
+      return runGeminiWithImageMeta(prompt, imageBase64, imageMimeType, opts);
+    },
+
+    getHealth() {
+      return getGeminiHealth();
+    },
+  };
+}
+
+module.exports = { createGeminiProvider };
@@ -0,0 +1,59 @@
+/**
+ * LLM provider registry
+ *
+ * Every provider implements:
+ *   generateText(prompt, opts) -> Promise<{ text, model, attempts, usage }>
+ *   streamText(prompt, opts) -> AsyncGenerator<string, { model, attempts, usage }>
+ *   generateWithImage(prompt, imageBase64, imageMimeType, opts) -> Promise<{ text, model, attempts, usage }>
+ *   getHealth() -> object
+ *
+ * usage is { promptTokens, candidateTokens, totalTokens } as reported by the upstream, null when it reports none.
+ *
+ * opts follow the runGemini conventions (systemPrompt, userPrompt, temperature, maxTokens, topP, topK, timeout),
+ * plus jobType / jobInput describing what is being generated and responseSchema (utils/outputSchemas.js)
+ * when the output must be JSON.
+ * Provider is selected with LLM_PROVIDER: gemini | openai | mock.
+ * Without LLM_PROVIDER, gemini is used when GEMINI_API_KEY is set (or in production, or when replaying a cassette),
+ * mock otherwise.
+ */
+
+const { createGeminiProvider } = require('./geminiProvider');
+const { createOpenAICompatibleProvider } = require('./openaiCompatibleProvider');
+const { createMockProvider } = require('./mockProvider');
+
+const factories = {
+  gemini: createGeminiProvider,
+  openai: createOpenAICompatibleProvider,
+  mock: createMockProvider,
+};
+
+function defaultProviderName() {
+  const apiKey = process.env.GEMINI_API_KEY;
+  // A Gemini cassette being replayed (utils/cassette.js) stands in for the API key
+  if ((apiKey && apiKey.trim() !== '') || process.env.NODE_ENV === 'production' || process.env.GEMINI_CASSETTE_MODE === 'replay') {
+    return 'gemini';
+  }
+  return 'mock';
+}
+
+let provider = null;
+
+/**
+ * Get the configured provider (created once per process)
+ * @returns {object} LLM provider
+ */
+function getProvider() {
+  if (provider) return provider;
+
+  const name = (process.env.LLM_PROVIDER || defaultProviderName()).trim().toLowerCase();
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`LLM_PROVIDER_INVALID: Unknown LLM provider "${name}" (expected ${Object.keys(factories).join(', ')})`);
+  }
+
+  provider = factory();
+  console.log(`[Providers] Using LLM provider: ${provider.name}`);
+  return provider;
+}
+
+module.exports = { getProvider };
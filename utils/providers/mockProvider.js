@@ -0,0 +1,442 @@
+const { createCircuitBreaker } = require('../circuitBreaker');
+
+/**
+ * Deterministic mock provider for offline development and end-to-end tests
+ *
+ * Returns JSON fixtures that satisfy each job type's output schema (utils/outputSchemas.js).
+ * Output depends only on MOCK_SEED, the job type and the job's inputs, so the same request
+ * always yields the same result.
+ */
+
+const MOCK_MODEL = 'mock';
+
+const HOOK_OPENERS = [
+  'Nobody talks about this side of',
+  'I wish someone told me this about',
+  'Stop scrolling if you care about',
+  'This changed everything for my',
+  'The honest truth about',
+  'Three years of',
+  'Here is what actually works for',
+  'The one habit that fixed my',
+];
+
+const CAPTION_LINES = [
+  'Small steps every day turn into results nobody can ignore ✨',
+  'Saving this moment so future me remembers why I started 💫',
+  'Less noise, more doing. That is the whole secret 🔥',
+  'Consistency looks boring until it starts paying off 📈',
+  'Proof that showing up matters more than being perfect 🙌',
+  'Real progress is quiet. Keep going anyway 💪',
+  'Tag someone who needs this reminder today 👇',
+  'Built this one slowly, and it shows ☀️',
+];
+
+const CTAS = [
+  'Save this for later',
+  'Share this with a friend who needs it',
+  'Comment your biggest takeaway',
+  'Follow for part two',
+  'DM me "guide" for the full checklist',
+  'Try this today and tell me how it went',
+];
+
+const CONTENT_TYPES = ['Reel', 'Carousel', 'Story', 'Static Image', 'Meme'];
+const DAYS_OF_WEEK = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const POST_TIMES = ['8:00 AM IST', '12:30 PM IST', '6:00 PM IST', '7:30 PM IST', '9:00 PM IST'];
+const LONG_BIO_LINES = [
+  '🎯 Practical {topic} tips, honest stories and real results',
+  '🗓️ New posts every Monday, Wednesday and Friday',
+  '💬 DMs open for collabs, questions and feedback',
+  '🤝 Building a kind, curious community one post at a time',
+];
+const ANGLES = ['story', 'myth-busting', 'POV', 'mistake', 'transformation', 'behind the scenes', 'checklist', 'challenge'];
+const GENERIC_TAGS = [
+  'instagood', 'reels', 'explore', 'creator', 'growth', 'tips', 'dailyinspo', 'contentcreator',
+  'trending', 'community', 'motivation', 'lifestyle', 'learnoninstagram', 'viral', 'howto',
+  'mindset', 'productivity', 'smallbusiness', 'aesthetic', 'weekendvibes',
+];
+const TOPIC_TAG_SUFFIXES = ['tips', 'life', 'daily', 'community', 'ideas', 'goals', 'journey', 'hacks', 'inspo', 'lover'];
+
+/**
+ * FNV-1a string hash (32-bit)
+ */
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * mulberry32 PRNG - small, fast and reproducible across platforms
+ */
+function createRandom(seed) {
+  let state = seed;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    next,
+    int(min, max) {
+      return min + Math.floor(next() * (max - min + 1));
+    },
+    pick(items) {
+      return items[Math.floor(next() * items.length)];
+    },
+    // `count` distinct items when possible, cycling through a fresh shuffle otherwise
+    sample(items, count) {
+      const result = [];
+      while (result.length < count) {
+        const shuffled = [...items];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+          const j = Math.floor(next() * (i + 1));
+          [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        result.push(...shuffled.slice(0, count - result.length));
+      }
+      return result;
+    },
+  };
+}
+
+/**
+ * JSON.stringify with sorted keys so equal inputs always hash the same
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+function clampCount(value, fallback, max) {
+  const count = parseInt(value, 10);
+  if (!Number.isFinite(count) || count < 1) return fallback;
+  return Math.min(count, max);
+}
+
+function topicOf(input) {
+  const topic = input.topic || input.niche || input.userInput || input.description || input.caption || input.comment;
+  return (typeof topic === 'string' && topic.trim()) ? topic.trim().slice(0, 60) : 'content creation';
+}
+
+function hashtagsFor(topic, random, count) {
+  const topicTag = topic.toLowerCase().replace(/[^a-z0-9]+/g, '').slice(0, 30) || 'content';
+  const pool = [...GENERIC_TAGS, ...TOPIC_TAG_SUFFIXES.map(suffix => `${topicTag}${suffix}`)];
+  return [`#${topicTag}`, ...random.sample(pool, count - 1).map(tag => `#${tag}`)];
+}
+
+function hookFor(topic, random) {
+  return `${random.pick(HOOK_OPENERS)} ${topic}`;
+}
+
+/**
+ * Fixture builders, one per job type. Each returns the raw text a model would have produced.
+ */
+const fixtures = {
+  captions(input, random) {
+    const topic = topicOf(input);
+    return JSON.stringify({
+      captions: random.sample(CAPTION_LINES, 3).map(text => ({
+        style: random.pick(['motivational', 'relatable', 'aesthetic', 'bold']),
+        text,
+        hashtags: hashtagsFor(topic, random, 4),
+      })),
+    }, null, 2);
+  },
+
+  calendar(input, random) {
+    const topic = topicOf(input);
+    const days = clampCount(input.days, 7, 31);
+    const startDay = random.int(0, 6);
+    const plan = Array.from({ length: days }, (_, index) => ({
+      day_of_week: DAYS_OF_WEEK[(startDay + index) % 7],
+      content_type: random.pick(CONTENT_TYPES),
+      hook: hookFor(topic, random),
+      caption: random.pick(CAPTION_LINES),
+      hashtag_set: hashtagsFor(topic, random, 15),
+      best_post_time: random.pick(POST_TIMES),
+      content_brief: `Show one practical ${topic} tip with a ${random.pick(ANGLES)} angle`,
+      viral_angle: `Relatable ${random.pick(ANGLES)} content performs well in the ${topic} niche`,
+      cta: random.pick(CTAS),
+    }));
+    return JSON.stringify(plan, null, 2);
+  },
+
+  strategy(input, random) {
+    const niche = topicOf(input);
+    const tags = hashtagsFor(niche, random, 15);
+    return JSON.stringify({
+      audience_profile: {
+        age_groups: random.sample(['18-24', '25-34', '35-44'], 2),
+        psychology: [`Wants quick wins in ${niche}`, 'Trusts creators who show real results'],
+        pain_points: ['Not enough time', 'Too much conflicting advice'],
+        motivations: ['Visible progress', 'Belonging to a community'],
+      },
+      growth_plan: {
+        reel_strategy: `Short ${random.pick(ANGLES)} reels with a hook in the first second`,
+        posting_frequency: `${random.int(3, 6)} reels and ${random.int(1, 3)} carousels per week`,
+        content_style: 'Face-to-camera, captions on screen, one idea per post',
+        what_to_avoid: 'Trending audio that has nothing to do with the niche',
+      },
+      viral_content_ideas: random.sample(ANGLES, 3).map(angle => ({
+        hook: hookFor(niche, random),
+        angle,
+        why_it_works: 'Opens a curiosity gap and pays it off quickly',
+      })),
+      analytics: {
+        best_times_IST: random.sample(POST_TIMES, 3),
+        competition_strength: random.pick(['low', 'medium', 'high']),
+        content_gap_opportunities: [`Beginner-friendly ${niche} explainers`, 'Honest before/after breakdowns'],
+      },
+      hashtag_strategy: {
+        low_comp: tags.slice(0, 5),
+        mid_comp: tags.slice(5, 10),
+        high_comp: tags.slice(10, 15),
+      },
+      cta_strategy: random.pick(CTAS),
+    }, null, 2);
+  },
+
+  analyze(input, random) {
+    const topic = topicOf(input);
+    const tags = hashtagsFor(topic, random, 30);
+    return JSON.stringify({
+      trend_forecast_30_days: `Steady interest in ${topic}, with a spike around ${random.pick(ANGLES)} content`,
+      top_5_viral_patterns: random.sample(ANGLES, 5).map(angle => `${angle} posts about ${topic}`),
+      best_3_reel_formats: random.sample(['Talking head', 'Text-on-screen', 'Before/after', 'Day in the life', 'Tutorial'], 3),
+      hashtag_clusters: {
+        low: tags.slice(0, 10),
+        mid: tags.slice(10, 20),
+        high: tags.slice(20, 30),
+      },
+      untapped_content_ideas: [`${topic} myths debunked`, `${topic} on a budget`, `A week of ${topic}, honestly`],
+      psychological_triggers: random.sample(['Curiosity', 'Social proof', 'FOMO', 'Relatability', 'Authority'], 3),
+      common_mistakes: ['Posting without a hook', 'Inconsistent schedule', 'Too many hashtags unrelated to the post'],
+    }, null, 2);
+  },
+
+  'reels-script'(input, random) {
+    const topic = topicOf(input);
+    const lines = [
+      'I tried every shortcut before this.',
+      `Then I picked one ${topic} habit and did it every single day.`,
+      'Week one felt like nothing changed.',
+      'Week four, people started asking what I was doing differently.',
+    ];
+    return JSON.stringify({
+      hooks: [hookFor(topic, random), hookFor(topic, random)],
+      script: lines.map((voiceover, index) => ({
+        scene: ['Setup', 'Story', 'Story', 'Value'][index],
+        visual: random.pick(['Close-up selfie', 'Medium shot', 'Wide shot', 'B-roll']),
+        voiceover,
+        on_screen_text: voiceover.slice(0, 40),
+      })),
+      cta: `${random.pick(CTAS)}.`,
+      caption: random.pick(CAPTION_LINES),
+      hashtags: hashtagsFor(topic, random, 10),
+    }, null, 2);
+  },
+
+  'post-ideas'(input, random) {
+    const topic = topicOf(input);
+    const count = clampCount(input.count, 5, 20);
+    return JSON.stringify(Array.from({ length: count }, (_, index) => ({
+      title: `${topic}: idea #${index + 1}`,
+      description: `A ${random.pick(ANGLES)} post that makes ${topic} feel achievable.`,
+      angle: random.pick(ANGLES),
+      audience: random.pick(['Beginners', 'Busy professionals', 'Students', 'Creators']),
+      engagement: random.pick(CTAS),
+    })), null, 2);
+  },
+
+  hashtags(input, random) {
+    const count = clampCount(input.count, 20, 30);
+    return JSON.stringify(hashtagsFor(topicOf(input), random, count));
+  },
+
+  bio(input, random) {
+    const topic = topicOf(input);
+    const lines = [
+      `✨ ${topic.charAt(0).toUpperCase()}${topic.slice(1)}`,
+      `📍 Sharing ${random.pick(ANGLES)} content every week`,
+      `👇 ${random.pick(CTAS)}`,
+    ];
+    // Long bios are 200-300 characters (prompts/bio)
+    if (input.style === 'long') {
+      for (const line of LONG_BIO_LINES) {
+        if ([...lines.join('\n')].length >= 200) break;
+        lines.splice(lines.length - 1, 0, line.replace('{topic}', topic));
+      }
+    }
+    return JSON.stringify({ bio: lines.join('\n') });
+  },
+
+  hooks(input, random) {
+    const topic = topicOf(input);
+    const count = clampCount(input.count, 5, 10);
+    return JSON.stringify({
+      hooks: random.sample(HOOK_OPENERS, count).map(opener => `${opener} ${topic}`),
+    });
+  },
+
+  'comment-reply'(input, random) {
+    return JSON.stringify({
+      reply: random.pick([
+        'Thank you so much! Really glad this helped 🙌',
+        'Appreciate you! More on this coming soon 💫',
+        'Love this question - answering it in the next post 👀',
+      ]),
+    });
+  },
+
+  trends(input, random) {
+    const topic = topicOf({ niche: input.niche !== 'All' ? input.niche : '' });
+    return JSON.stringify({
+      hashtags: hashtagsFor(topic, random, 20),
+      topics: Array.from({ length: 10 }, (_, index) => `${topic} trend ${index + 1}: ${random.pick(ANGLES)}`),
+      ideas: Array.from({ length: 10 }, () => `${hookFor(topic, random)} (${random.pick(CONTENT_TYPES)})`),
+    }, null, 2);
+  },
+
+  carousel(input, random) {
+    const topic = topicOf(input);
+    const slides = clampCount(input.slides, 5, 20);
+    return JSON.stringify({
+      title: hookFor(topic, random),
+      caption: `${random.pick(CAPTION_LINES)} ${hashtagsFor(topic, random, 5).join(' ')}`,
+      slides: Array.from({ length: slides }, (_, index) => ({
+        slideNumber: index + 1,
+        title: index === 0 ? `${topic} in ${slides} slides` : `Step ${index}`,
+        content: index === slides - 1 ? `${random.pick(CTAS)} 📌` : `One ${random.pick(ANGLES)} insight about ${topic} ✅`,
+      })),
+    }, null, 2);
+  },
+
+  // POST /ai/image-captions
+  'image-captions'(input, random) {
+    return JSON.stringify({
+      analysis: {
+        mood: random.pick(['calm', 'energetic', 'happy', 'confident']),
+        style: random.pick(['aesthetic', 'casual', 'travel', 'lifestyle']),
+        scene: random.pick(['A person outdoors in soft daylight', 'A cosy indoor workspace', 'A busy street at golden hour']),
+      },
+      captions: random.sample(CAPTION_LINES, 5).map(text => ({
+        text,
+        hashtags: hashtagsFor('photo', random, 15),
+      })),
+    }, null, 2);
+  },
+
+  // POST /ai/caption-from-media step 1 (vision)
+  'image-attributes'(input, random) {
+    return JSON.stringify({
+      scene: random.pick(['indoor', 'outdoor']),
+      setting: random.pick(['travel', 'casual', 'work', 'home']),
+      mood: random.pick(['calm', 'energetic', 'confident', 'happy', 'relaxed']),
+      time: random.pick(['day', 'night']),
+      occasion: random.pick(['casual', 'travel', 'celebration', 'not clearly visible']),
+    });
+  },
+
+  // POST /ai/caption-from-media step 2 (text, input = extracted attributes)
+  'media-captions'(input, random) {
+    const topic = [input.mood, input.setting].filter(Boolean).join(' ') || 'moments';
+    return JSON.stringify({
+      captions: ['aesthetic', 'confident', 'funny', 'emotional', 'minimal'].map(angle => ({
+        angle,
+        text: random.pick(CAPTION_LINES),
+        hashtags: hashtagsFor(topic, random, 15),
+      })),
+    }, null, 2);
+  },
+};
+
+// Rough token counts (~4 characters per token) so usage accounting can be exercised without a model
+function estimateUsage(prompt, opts, text) {
+  const promptText = [prompt, opts.systemPrompt, opts.userPrompt].filter(Boolean).join('\n');
+  const promptTokens = Math.ceil(promptText.length / 4);
+  const candidateTokens = Math.ceil(text.length / 4);
+  return { promptTokens, candidateTokens, totalTokens: promptTokens + candidateTokens };
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.seed - Base seed mixed into every generation (MOCK_SEED)
+ * @param {number} options.latencyMs - Artificial delay per call, to exercise loading states (MOCK_LATENCY_MS)
+ */
+function createMockProvider({
+  seed = process.env.MOCK_SEED || 'instaflow',
+  latencyMs = parseInt(process.env.MOCK_LATENCY_MS ?? '0', 10),
+} = {}) {
+  // Never opens (mock calls do not fail) but keeps /health output identical to real providers
+  const breaker = createCircuitBreaker({ name: 'mock', code: 'LLM_CIRCUIT_OPEN' });
+
+  function render(prompt, opts) {
+    const jobType = opts.jobType || 'text';
+    const input = opts.jobInput || {};
+    const random = createRandom(hashString(`${seed}:${jobType}:${stableStringify(input)}`));
+    const fixture = fixtures[jobType];
+    if (fixture) {
+      return fixture(input, random);
+    }
+
+    const firstLine = ((prompt || opts.userPrompt || '').trim().split('\n')[0] || '').slice(0, 80);
+    return `Mock response (${random.pick(ANGLES)}) for: ${firstLine}`;
+  }
+
+  async function generate(prompt, opts) {
+    return breaker.execute(async () => {
+      if (latencyMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, latencyMs));
+      }
+      return render(prompt, opts);
+    });
+  }
+
+  return {
+    name: 'mock',
+
+    async generateText(prompt, opts = {}) {
+      const text = await generate(prompt, opts);
+      return { text, model: MOCK_MODEL, attempts: 1, usage: estimateUsage(prompt, opts, text) };
+    },
+
+    async *streamText(prompt, opts = {}) {
+      const text = await generate(prompt, opts);
+      // Split on whitespace boundaries so streamed chunks look like model tokens
+      const chunks = text.match(/\S*\s*/g).filter(Boolean);
+      for (let i = 0; i < chunks.length; i += 4) {
+        yield chunks.slice(i, i + 4).join('');
+      }
+      return { model: MOCK_MODEL, attempts: 1, usage: estimateUsage(prompt, opts, text) };
+    },
+
+    async generateWithImage(prompt, imageBase64, imageMimeType, opts = {}) {
+      const text = await generate(prompt, opts);
+      return { text, model: MOCK_MODEL, attempts: 1, usage: estimateUsage(prompt, opts, text) };
+    },
+
+    getHealth() {
+      return {
+        configured: true,
+        seed,
+        models: [MOCK_MODEL],
+        circuit: breaker.getStats(),
+      };
+    },
+  };
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,226 @@
+const axios = require('axios');
+const { createCircuitBreaker } = require('../circuitBreaker');
+
+/**
+ * OpenAI-compatible chat-completions provider
+ * Works with OpenAI itself and local servers exposing /v1/chat/completions
+ * (Ollama: OPENAI_BASE_URL=http://localhost:11434/v1, llama.cpp server, vLLM, LM Studio, ...)
+ */
+
+// Retries per request (streams are not retried once started)
+const MAX_RETRIES = parseInt(process.env.LLM_MAX_RETRIES ?? '2', 10);
+const RETRY_BASE_MS = parseInt(process.env.LLM_RETRY_BASE_MS ?? '500', 10);
+const RETRY_MAX_MS = parseInt(process.env.LLM_RETRY_MAX_MS ?? '8000', 10);
+
+function llmError(message, { status = null, retryable = false } = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.retryable = retryable;
+  return error;
+}
+
+function toLlmError(error) {
+  // Already classified by llmError (AxiosError also has .status, so check retryable)
+  if (error.retryable !== undefined) {
+    return error;
+  }
+  if (error.response) {
+    const status = error.response.status;
+    const message = error.response.data?.error?.message || error.response.data?.error || `HTTP ${status}`;
+    if (status === 404) {
+      return llmError(`LLM_MODEL_NOT_FOUND: ${message}`, { status });
+    }
+    return llmError(`LLM_API_ERROR: ${message}`, { status, retryable: status === 429 || status >= 500 });
+  }
+  if (error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
+    return llmError('LLM_TIMEOUT: Request timed out', { retryable: true });
+  }
+  if (['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT', 'EPIPE'].includes(error.code)) {
+    return llmError(`LLM_NETWORK_ERROR: ${error.message}`, { retryable: true });
+  }
+  return error;
+}
+
+// Chat-completions usage block -> { promptTokens, candidateTokens, totalTokens } (null when the server sends none)
+function toUsage(usage) {
+  if (!usage) return null;
+  const promptTokens = usage.prompt_tokens || 0;
+  const candidateTokens = usage.completion_tokens || 0;
+  return { promptTokens, candidateTokens, totalTokens: usage.total_tokens || promptTokens + candidateTokens };
+}
+
+function buildMessages(prompt, opts) {
+  if (opts.systemPrompt && opts.userPrompt) {
+    return [
+      { role: 'system', content: opts.systemPrompt.trim() },
+      { role: 'user', content: opts.userPrompt.trim() },
+    ];
+  }
+
+  const text = (prompt && prompt.trim()) || (opts.userPrompt && opts.userPrompt.trim());
+  if (!text) {
+    throw new Error('Prompt cannot be empty');
+  }
+  return [{ role: 'user', content: text }];
+}
+
+function createOpenAICompatibleProvider({
+  baseUrl = process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1',
+  apiKey = process.env.OPENAI_API_KEY || '',
+  model = process.env.OPENAI_MODEL || 'llama3.1',
+  visionModel = process.env.OPENAI_VISION_MODEL || process.env.OPENAI_MODEL || 'llava',
+} = {}) {
+  const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  const breaker = createCircuitBreaker({
+    name: 'openai-compatible',
+    code: 'LLM_CIRCUIT_OPEN',
+    failureThreshold: parseInt(process.env.LLM_CIRCUIT_FAILURE_THRESHOLD ?? '5', 10),
+    resetTimeoutMs: parseInt(process.env.LLM_CIRCUIT_RESET_MS ?? '30000', 10),
+    isFailure: (error) => error.retryable === true,
+  });
+
+  function headers(accept = 'application/json') {
+    const result = { 'Content-Type': 'application/json', Accept: accept };
+    if (apiKey) result.Authorization = `Bearer ${apiKey}`;
+    return result;
+  }
+
+  function buildBody(modelName, messages, opts, stream = false) {
+    const body = {
+      model: modelName,
+      messages,
+      temperature: opts.temperature ?? 1.0,
+      top_p: opts.topP ?? 0.95,
+      max_tokens: opts.maxTokens ?? 2048,
+      stream,
+    };
+    if (stream) {
+      // Usage is only reported for streams when asked for (sent in a final chunk without choices)
+      body.stream_options = { include_usage: true };
+    }
+    if (opts.responseSchema) {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: { name: opts.jobType || 'output', schema: opts.responseSchema },
+      };
+    }
+    return body;
+  }
+
+  function post(modelName, messages, opts) {
+    return breaker.execute(async () => {
+      try {
+        const response = await axios.post(url, buildBody(modelName, messages, opts), {
+          headers: headers(),
+          timeout: opts.timeout ?? 60000,
+        });
+        const text = response.data?.choices?.[0]?.message?.content;
+        if (!text || !text.trim()) {
+          throw new Error('LLM_EMPTY_RESPONSE: No text in response');
+        }
+        return { text, usage: toUsage(response.data.usage) };
+      } catch (error) {
+        throw toLlmError(error);
+      }
+    });
+  }
+
+  // Retryable errors (429, 5xx, timeouts, network) are retried with jittered exponential backoff
+  async function complete(modelName, messages, opts) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await post(modelName, messages, opts);
+        return { ...result, attempts: attempt };
+      } catch (error) {
+        if (!error.retryable || attempt > MAX_RETRIES) {
+          error.attempts = attempt;
+          throw error;
+        }
+        const delay = Math.floor(Math.random() * Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** (attempt - 1)));
+        console.warn(`[OpenAICompatibleProvider] ${modelName} attempt ${attempt} failed (${error.message}), retrying in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  return {
+    name: 'openai-compatible',
+
+    async generateText(prompt, opts = {}) {
+      const { text, usage, attempts } = await complete(model, buildMessages(prompt, opts), opts);
+      return { text, model, attempts, usage };
+    },
+
+    async *streamText(prompt, opts = {}) {
+      const messages = buildMessages(prompt, opts);
+      const response = await breaker.execute(async () => {
+        try {
+          return await axios.post(url, buildBody(model, messages, opts, true), {
+            headers: headers('text/event-stream'),
+            timeout: opts.timeout ?? 60000,
+            responseType: 'stream',
+          });
+        } catch (error) {
+          throw toLlmError(error);
+        }
+      });
+
+      let buffer = '';
+      let producedText = false;
+      let usage = null;
+      try {
+        for await (const chunk of response.data) {
+          buffer += chunk.toString();
+          const lines = buffer.split(/\r?\n/);
+          buffer = lines.pop();
+
+          for (const line of lines) {
+            if (!line.startsWith('data:')) continue;
+            const data = line.substring(5).trim();
+            if (!data || data === '[DONE]') continue;
+
+            const payload = JSON.parse(data);
+            usage = toUsage(payload?.usage) || usage;
+            const delta = payload?.choices?.[0]?.delta?.content;
+            if (delta) {
+              producedText = true;
+              yield delta;
+            }
+          }
+        }
+      } catch (error) {
+        throw toLlmError(error);
+      }
+
+      if (!producedText) {
+        throw new Error('LLM_EMPTY_RESPONSE: No text in response');
+      }
+      return { model, attempts: 1, usage };
+    },
+
+    async generateWithImage(prompt, imageBase64, imageMimeType = 'image/jpeg', opts = {}) {
+      const messages = [{
+        role: 'user',
+        content: [
+          { type: 'text', text: prompt.trim() },
+          { type: 'image_url', image_url: { url: `data:${imageMimeType};base64,${imageBase64}` } },
+        ],
+      }];
+      const { text, usage, attempts } = await complete(visionModel, messages, { ...opts, temperature: opts.temperature ?? 0.7 });
+      return { text, model: visionModel, attempts, usage };
+    },
+
+    getHealth() {
+      return {
+        configured: true,
+        baseUrl,
+        models: [model],
+        visionModel,
+        circuit: breaker.getStats(),
+      };
+    },
+  };
+}
+
+module.exports = { createOpenAICompatibleProvider };
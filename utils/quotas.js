@@ -0,0 +1,220 @@
+/**
+ * Per-user daily generation quotas with plan tiers
+ *
+ * Tiers and job type weights are defined in QUOTAS_FILE (default ./quotas.json):
+ *   {
+ *     "defaultPlan": "free",
+ *     "plans": { "free": { "dailyUnits": 30 }, "pro": { "dailyUnits": 300 } },
+ *     "weights": { "default": 1, "bio": 1, "caption-from-media": 5 }
+ *   }
+ * Every accepted generation request consumes its job type's weight in units from the user's daily
+ * allowance, which resets at midnight UTC. Users are on defaultPlan unless assigned another plan
+ * (setUserPlan, PUT /admin/plans/:userId). Counters and plan assignments live in the storage backend
+ * (STORE_BACKEND), so they survive restarts with sqlite/redis.
+ * The file is re-read when it changes; QUOTAS_FILE=off disables quotas.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createStore } = require('./storage');
+
+const QUOTAS_FILE = process.env.QUOTAS_FILE || path.join(__dirname, '..', 'quotas.json');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Units used per day and user ('YYYY-MM-DD|subject' -> number), updated with atomic increments
+const counters = createStore('quotaUnits');
+const plans = createStore('plans');
+
+let cache = { mtimeMs: null, config: null };
+
+function quotaError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function validateConfig(config) {
+  if (!config || typeof config.plans !== 'object' || Object.keys(config.plans).length === 0) {
+    return 'plans are required';
+  }
+  const invalid = Object.entries(config.plans).filter(([, plan]) => !plan || !(plan.dailyUnits >= 0));
+  if (invalid.length > 0) {
+    return `dailyUnits must be a non-negative number (${invalid.map(([name]) => name).join(', ')})`;
+  }
+  if (!config.plans[config.defaultPlan]) {
+    return `defaultPlan "${config.defaultPlan}" is not a plan`;
+  }
+  return null;
+}
+
+/**
+ * Load quota configuration (cached until the file changes)
+ * An invalid file is logged and the last valid configuration kept, so a bad edit never locks users out
+ * @returns {object|null} - { defaultPlan, plans, weights }, null when quotas are disabled
+ */
+function loadConfig() {
+  if (QUOTAS_FILE === 'off') return null;
+
+  let stat;
+  try {
+    stat = fs.statSync(QUOTAS_FILE);
+  } catch (error) {
+    return null;
+  }
+  if (cache.mtimeMs === stat.mtimeMs) {
+    return cache.config;
+  }
+
+  let config = cache.config;
+  try {
+    const parsed = JSON.parse(fs.readFileSync(QUOTAS_FILE, 'utf8'));
+    const problem = validateConfig(parsed);
+    if (problem) {
+      console.error(`[Quotas] Ignoring ${QUOTAS_FILE}: ${problem}`);
+    } else {
+      config = { weights: {}, ...parsed };
+      console.log(`[Quotas] Loaded ${Object.keys(config.plans).length} plans (default: ${config.defaultPlan})`);
+    }
+  } catch (error) {
+    console.error(`[Quotas] Failed to load ${QUOTAS_FILE}:`, error.message);
+  }
+
+  cache = { mtimeMs: stat.mtimeMs, config };
+  return config;
+}
+
+function weightOf(config, jobType) {
+  const weight = config.weights[jobType] ?? config.weights.default ?? 1;
+  return Math.max(Number(weight) || 0, 0);
+}
+
+function currentDay(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function nextReset(now) {
+  return new Date(Math.floor(now / DAY_MS + 1) * DAY_MS);
+}
+
+/**
+ * Plan a user is on
+ * @param {string} subject - User id (or anonymous subject, see middleware/quota.js)
+ * @returns {Promise<string|null>} - Plan name, null when quotas are disabled
+ */
+async function getUserPlan(subject) {
+  const config = loadConfig();
+  if (!config) return null;
+  const assigned = await plans.get(subject);
+  // Plans removed from the config fall back to the default
+  return assigned && config.plans[assigned.plan] ? assigned.plan : config.defaultPlan;
+}
+
+/**
+ * Assign a plan to a user
+ * @param {string} userId - User id
+ * @param {string} plan - Plan name from the config
+ * @returns {Promise<object>} - Stored assignment
+ * @throws {Error} QUOTAS_DISABLED (503) / QUOTA_PLAN_INVALID (400)
+ */
+async function setUserPlan(userId, plan) {
+  const config = loadConfig();
+  if (!config) {
+    throw quotaError('QUOTAS_DISABLED: Quotas are not configured', 503);
+  }
+  if (!config.plans[plan]) {
+    throw quotaError(`QUOTA_PLAN_INVALID: plan must be one of ${Object.keys(config.plans).join(', ')}`, 400);
+  }
+  const assignment = { userId, plan, updatedAt: new Date().toISOString() };
+  await plans.set(userId, assignment);
+  console.log(`[Quotas] User ${userId} moved to plan ${plan}`);
+  return assignment;
+}
+
+// Kept a little past the reset so the counter is never dropped mid-day
+function counterTtlMs(now) {
+  return nextReset(now).getTime() - now + 60 * 60 * 1000;
+}
+
+function describe(config, plan, used, now) {
+  const limit = config.plans[plan].dailyUnits;
+  return {
+    plan,
+    limit,
+    used,
+    remaining: Math.max(limit - used, 0),
+    resetAt: nextReset(now).toISOString(),
+  };
+}
+
+/**
+ * Current quota state of a user
+ * @param {string} subject - User id (or anonymous subject)
+ * @returns {Promise<{ plan, limit, used, remaining, resetAt }|null>} - null when quotas are disabled
+ */
+async function getQuota(subject, now = Date.now()) {
+  const config = loadConfig();
+  if (!config) return null;
+  const plan = await getUserPlan(subject);
+  const used = await counters.get(`${currentDay(now)}|${subject}`);
+  return describe(config, plan, used || 0, now);
+}
+
+/**
+ * Consume a job type's weight from a user's daily allowance
+ * @param {string} subject - User id (or anonymous subject)
+ * @param {string} jobType - Job type being requested
+ * @returns {Promise<{ allowed: boolean, cost: number, retryAfterSeconds: number, plan, limit, used, remaining, resetAt }|null>}
+ *          null when quotas are disabled; nothing is consumed when the request is not allowed
+ */
+async function consumeQuota(subject, jobType, now = Date.now()) {
+  const config = loadConfig();
+  if (!config) return null;
+
+  const plan = await getUserPlan(subject);
+  const cost = weightOf(config, jobType);
+  const key = `${currentDay(now)}|${subject}`;
+  const limit = config.plans[plan].dailyUnits;
+  let allowed = true;
+  let used;
+
+  if (cost > 0) {
+    // Consume first and compare the counter's new value, so concurrent requests cannot both take the last units;
+    // a request that went over gives its units back
+    used = await counters.increment(key, cost, { ttlMs: counterTtlMs(now) });
+    if (used > limit) {
+      allowed = false;
+      used = await counters.increment(key, -cost, { ttlMs: counterTtlMs(now) });
+    }
+  } else {
+    used = (await counters.get(key)) || 0;
+    allowed = used <= limit;
+  }
+
+  return {
+    allowed,
+    cost,
+    retryAfterSeconds: Math.ceil((nextReset(now).getTime() - now) / 1000),
+    ...describe(config, plan, used, now),
+  };
+}
+
+/**
+ * Give back units consumed by a request that was rejected after the quota check (e.g. a 400)
+ * @param {string} subject - User id (or anonymous subject)
+ * @param {number} cost - Units consumed by consumeQuota
+ */
+async function refundQuota(subject, cost, now = Date.now()) {
+  if (!cost) return;
+  const key = `${currentDay(now)}|${subject}`;
+  // Nothing to give back once the day (and its counter) has rolled over
+  if (!(await counters.get(key))) return;
+  await counters.increment(key, -cost, { ttlMs: counterTtlMs(now) });
+}
+
+module.exports = {
+  getQuota,
+  consumeQuota,
+  refundQuota,
+  getUserPlan,
+  setUserPlan,
+};
@@ -0,0 +1,146 @@
+/**
+ * Pick times to produce and publish posts around a user's busy calendar
+ *
+ * Publish times come from posting windows (the AI's recommended times, e.g. a strategy job's best_times_IST); each
+ * open one is paired with the latest free block of working hours before it, to shoot and edit the post. Busy time
+ * is passed in (Google free/busy, see suggestSlots in controllers/calendarController.js).
+ */
+
+const { zonedTimeToUtc, toZonedParts, addDays, weekdayOf } = require('./timezone');
+const { parseWeekday, parsePostTime, postTimeToInstant } = require('./planImport');
+
+const MINUTE_MS = 60 * 1000;
+// Production blocks end on quarter hours
+const STEP_MS = 15 * MINUTE_MS;
+// A post is produced at most this many days before it is published
+const MAX_PRODUCTION_DAYS_BEFORE = 3;
+
+/**
+ * Posting windows from free text
+ * @param {string[]} texts - e.g. ['Tue 7:30 PM IST', '12:30 PM'], best first
+ * @param {string} defaultTimeZone - Zone of times that name none (default IST)
+ * @returns {Array<{ label: string, weekday: number, postTime: object, rank: number }>} - texts without a time are
+ *          left out; weekday is -1 for every day
+ */
+function parsePostingWindows(texts, defaultTimeZone) {
+  const windows = [];
+  texts.forEach((text, rank) => {
+    const postTime = parsePostTime(text, defaultTimeZone);
+    if (postTime) {
+      windows.push({ label: String(text), weekday: parseWeekday(text), postTime, rank });
+    }
+  });
+  return windows;
+}
+
+/**
+ * Posting windows recommended by a completed AI job
+ * strategy: analytics.best_times_IST, best first; calendar: each day's best_post_time on its day_of_week, ranked equally
+ */
+function postingWindowsFromJob(job) {
+  if (job.type === 'strategy') {
+    const times = (job.data && job.data.analytics && job.data.analytics.best_times_IST) || [];
+    return parsePostingWindows(times.map(String));
+  }
+  return job.data
+    .map(item => ({
+      label: `${item.day_of_week} ${item.best_post_time}`,
+      weekday: parseWeekday(item.day_of_week),
+      postTime: parsePostTime(item.best_post_time),
+      rank: 0,
+    }))
+    .filter(window => window.postTime);
+}
+
+function overlapping(intervals, start, end) {
+  return intervals.find(interval => interval.start < end && interval.end > start);
+}
+
+function findProductionBlock({ deadline, earliest, busy, workingHours, timeZone, minutes }) {
+  const duration = minutes * MINUTE_MS;
+  const lastDate = toZonedParts(deadline, timeZone).date;
+  for (let daysBefore = 0; daysBefore <= MAX_PRODUCTION_DAYS_BEFORE; daysBefore++) {
+    const date = addDays(lastDate, -daysBefore);
+    if (!workingHours.days.includes(weekdayOf(date))) continue;
+
+    const dayStart = Math.max(zonedTimeToUtc(date, workingHours.start, timeZone).getTime(), earliest.getTime());
+    const dayEnd = zonedTimeToUtc(date, workingHours.end, timeZone).getTime();
+    // Latest fit first: walk back from the deadline, jumping over busy time
+    let end = Math.floor(Math.min(dayEnd, deadline.getTime()) / STEP_MS) * STEP_MS;
+    while (end - duration >= dayStart) {
+      const conflict = overlapping(busy, new Date(end - duration), new Date(end));
+      if (!conflict) {
+        return { start: new Date(end - duration), end: new Date(end) };
+      }
+      end = Math.floor(Math.min(end - STEP_MS, conflict.start.getTime()) / STEP_MS) * STEP_MS;
+    }
+  }
+  return null;
+}
+
+/**
+ * Ranked production and publish pairs
+ * @param {object} params
+ * @param {Array<{ start: Date, end: Date }>} params.busy - Busy time across the user's calendars
+ * @param {object[]} params.windows - Posting windows (parsePostingWindows, postingWindowsFromJob)
+ * @param {Date} params.from - Earliest start of anything (now plus the lead time)
+ * @param {Date} params.to - Latest end of a publish slot
+ * @param {string} params.timeZone - Zone of the working hours
+ * @param {{ start: string, end: string, days: number[] }} params.workingHours - 'HH:mm' bounds and weekdays (0 = Sunday)
+ * @param {number} params.productionMinutes - Length of a production block
+ * @param {number} params.publishMinutes - Length of a publish slot
+ * @param {number} params.bufferMinutes - Minimum gap between the end of production and publishing
+ * @param {number} params.limit - Maximum number of suggestions
+ * @returns {Array<{ publish: { start: Date, end: Date, window: string }, production: { start: Date, end: Date } }>} - best
+ *          window first, then soonest; at most one per publish day, none overlapping each other or busy time
+ */
+function findSlots({ busy, windows, from, to, timeZone, workingHours, productionMinutes, publishMinutes, bufferMinutes, limit }) {
+  const reserved = busy.map(({ start, end }) => ({ start, end }));
+
+  // Window days are dates in the window's own zone; a day either side covers zones far from the user's
+  const candidates = [];
+  const lastDate = addDays(toZonedParts(to, timeZone).date, 1);
+  for (let date = addDays(toZonedParts(from, timeZone).date, -1); date <= lastDate; date = addDays(date, 1)) {
+    for (const window of windows) {
+      if (window.weekday >= 0 && window.weekday !== weekdayOf(date)) continue;
+      const start = postTimeToInstant(date, window.postTime, timeZone);
+      const end = new Date(start.getTime() + publishMinutes * MINUTE_MS);
+      if (start >= from && end <= to) {
+        candidates.push({ start, end, window });
+      }
+    }
+  }
+  candidates.sort((a, b) => a.window.rank - b.window.rank || a.start - b.start);
+
+  const suggestions = [];
+  const usedDays = new Set();
+  for (const candidate of candidates) {
+    if (suggestions.length >= limit) break;
+    const day = toZonedParts(candidate.start, timeZone).date;
+    if (usedDays.has(day) || overlapping(reserved, candidate.start, candidate.end)) continue;
+
+    const production = findProductionBlock({
+      deadline: new Date(candidate.start.getTime() - bufferMinutes * MINUTE_MS),
+      earliest: from,
+      busy: reserved,
+      workingHours,
+      timeZone,
+      minutes: productionMinutes,
+    });
+    if (!production) continue;
+
+    usedDays.add(day);
+    reserved.push({ start: candidate.start, end: candidate.end }, production);
+    suggestions.push({
+      publish: { start: candidate.start, end: candidate.end, window: candidate.window.label },
+      production,
+    });
+  }
+  return suggestions;
+}
+
+module.exports = {
+  parsePostingWindows,
+  postingWindowsFromJob,
+  findSlots,
+};
@@ -0,0 +1,55 @@
+/**
+ * Server-Sent Events helpers
+ */
+
+const HEARTBEAT_MS = 15000;
+
+/**
+ * Switch the response into an SSE stream
+ * Sends a comment heartbeat periodically so proxies (Render, nginx) keep the connection open
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {function} onClose - Called once when the client disconnects or the stream is closed
+ * @returns {object} - { send(event, data, id), close() }; id is the optional event id a reconnecting
+ *          EventSource sends back as Last-Event-ID
+ */
+function openEventStream(req, res, onClose) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  let closed = false;
+
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+  }, HEARTBEAT_MS);
+
+  function cleanup() {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    if (onClose) onClose();
+  }
+
+  req.on('close', cleanup);
+
+  return {
+    send(event, data, id) {
+      if (closed) return;
+      const idLine = id !== undefined ? `id: ${id}\n` : '';
+      res.write(`${idLine}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      cleanup();
+      res.end();
+    },
+  };
+}
+
+module.exports = { openEventStream };
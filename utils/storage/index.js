@@ -0,0 +1,45 @@
+/**
+ * Storage adapter factory
+ *
+ * Every adapter implements the same async interface:
+ *   get(key) -> value | null
+ *   set(key, value, { ttlMs }) -> void
+ *   delete(key) -> void
+ *   take(key) -> value | null (atomic get-and-delete: of concurrent takes of a key, only one gets the value)
+ *   increment(key, amount, { ttlMs }) -> new value (atomic; the key holds a number, missing counts as 0)
+ *   entries(prefix) -> [[key, value], ...]
+ *   purgeExpired() -> number of removed entries
+ *
+ * Backend is selected with STORE_BACKEND: memory (default) | sqlite | redis
+ */
+
+const { createMemoryAdapter } = require('./memoryAdapter');
+const { createSqliteAdapter } = require('./sqliteAdapter');
+const { createRedisAdapter } = require('./redisAdapter');
+
+const adapters = {
+  memory: createMemoryAdapter,
+  sqlite: createSqliteAdapter,
+  redis: createRedisAdapter,
+};
+
+/**
+ * Create a store for a namespace (e.g. 'jobs')
+ * @param {string} namespace - Logical collection name
+ * @param {object} options - Adapter options (backend override, path, url)
+ * @returns {object} Storage adapter
+ */
+function createStore(namespace, options = {}) {
+  const backend = (options.backend || process.env.STORE_BACKEND || 'memory').trim().toLowerCase();
+  const factory = adapters[backend];
+
+  if (!factory) {
+    throw new Error(`STORE_BACKEND_INVALID: Unknown storage backend "${backend}" (expected ${Object.keys(adapters).join(', ')})`);
+  }
+
+  const store = factory(namespace, options);
+  console.log(`[Storage] Using ${store.name} backend for "${namespace}"`);
+  return store;
+}
+
+module.exports = { createStore };
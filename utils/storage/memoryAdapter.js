@@ -0,0 +1,81 @@
+/**
+ * In-memory storage adapter (default)
+ * Process-local: everything is lost on restart and not shared between instances
+ */
+
+function clone(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+function createMemoryAdapter(namespace) {
+  const entries = new Map();
+
+  function isExpired(entry) {
+    return entry.expiresAt !== null && entry.expiresAt <= Date.now();
+  }
+
+  return {
+    name: 'memory',
+    namespace,
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (isExpired(entry)) {
+        entries.delete(key);
+        return null;
+      }
+      return clone(entry.value);
+    },
+
+    async set(key, value, { ttlMs } = {}) {
+      entries.set(key, {
+        value: clone(value),
+        expiresAt: ttlMs ? Date.now() + ttlMs : null,
+      });
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async take(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      entries.delete(key);
+      return isExpired(entry) ? null : clone(entry.value);
+    },
+
+    async increment(key, amount, { ttlMs } = {}) {
+      const entry = entries.get(key);
+      const value = (entry && !isExpired(entry) ? entry.value : 0) + amount;
+      entries.set(key, {
+        value,
+        expiresAt: ttlMs ? Date.now() + ttlMs : null,
+      });
+      return value;
+    },
+
+    async entries(prefix = '') {
+      const result = [];
+      for (const [key, entry] of entries.entries()) {
+        if (!key.startsWith(prefix) || isExpired(entry)) continue;
+        result.push([key, clone(entry.value)]);
+      }
+      return result;
+    },
+
+    async purgeExpired() {
+      let purged = 0;
+      for (const [key, entry] of entries.entries()) {
+        if (isExpired(entry)) {
+          entries.delete(key);
+          purged++;
+        }
+      }
+      return purged;
+    },
+  };
+}
+
+module.exports = { createMemoryAdapter };
@@ -0,0 +1,88 @@
+/**
+ * Redis storage adapter (shared between instances)
+ * Works with any server speaking the Redis protocol (Redis, Valkey, KeyDB, ...)
+ */
+
+const clients = new Map();
+
+function getClient(url) {
+  if (clients.has(url)) return clients.get(url);
+
+  // Loaded lazily so ioredis is only required when this backend is selected
+  const Redis = require('ioredis');
+  const client = new Redis(url, { maxRetriesPerRequest: 3 });
+
+  client.on('error', (error) => {
+    console.error('[Storage] Redis error:', error.message);
+  });
+
+  clients.set(url, client);
+  console.log(`[Storage] Redis client created: ${url.replace(/\/\/[^@]*@/, '//***@')}`);
+  return client;
+}
+
+function createRedisAdapter(namespace, { url, keyPrefix } = {}) {
+  const client = getClient(url || process.env.REDIS_URL || 'redis://127.0.0.1:6379');
+  const prefix = `${keyPrefix || process.env.REDIS_KEY_PREFIX || 'instaflow:'}${namespace}:`;
+
+  return {
+    name: 'redis',
+    namespace,
+
+    async get(key) {
+      const raw = await client.get(prefix + key);
+      return raw ? JSON.parse(raw) : null;
+    },
+
+    async set(key, value, { ttlMs } = {}) {
+      if (ttlMs) {
+        await client.set(prefix + key, JSON.stringify(value), 'PX', ttlMs);
+      } else {
+        await client.set(prefix + key, JSON.stringify(value));
+      }
+    },
+
+    async delete(key) {
+      await client.del(prefix + key);
+    },
+
+    // GET and DEL in one transaction; only the call whose DEL removed the key gets the value
+    async take(key) {
+      const [[getError, raw], [delError, deleted]] = await client.multi().get(prefix + key).del(prefix + key).exec();
+      if (getError || delError) throw getError || delError;
+      return deleted === 1 && raw ? JSON.parse(raw) : null;
+    },
+
+    async increment(key, amount, { ttlMs } = {}) {
+      const transaction = client.multi().incrby(prefix + key, amount);
+      if (ttlMs) transaction.pexpire(prefix + key, ttlMs);
+      const [[error, value]] = await transaction.exec();
+      if (error) throw error;
+      return Number(value);
+    },
+
+    async entries(keyPrefix = '') {
+      const keys = [];
+      let cursor = '0';
+      do {
+        const [next, batch] = await client.scan(cursor, 'MATCH', `${prefix}${keyPrefix}*`, 'COUNT', 200);
+        cursor = next;
+        keys.push(...batch);
+      } while (cursor !== '0');
+
+      if (keys.length === 0) return [];
+      const values = await client.mget(keys);
+      return keys
+        .map((key, i) => [key.substring(prefix.length), values[i]])
+        .filter(([, raw]) => raw !== null)
+        .map(([key, raw]) => [key, JSON.parse(raw)]);
+    },
+
+    // Redis expires keys itself
+    async purgeExpired() {
+      return 0;
+    },
+  };
+}
+
+module.exports = { createRedisAdapter };
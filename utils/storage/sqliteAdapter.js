@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * SQLite storage adapter (single file, survives restarts)
+ * All namespaces share one key/value table in the database file
+ */
+
+const databases = new Map();
+
+function openDatabase(dbPath) {
+  if (databases.has(dbPath)) return databases.get(dbPath);
+
+  // Loaded lazily so the native module is only required when this backend is selected
+  const Database = require('better-sqlite3');
+
+  const dir = path.dirname(dbPath);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS kv_store (
+      namespace TEXT NOT NULL,
+      key TEXT NOT NULL,
+      value TEXT NOT NULL,
+      expires_at INTEGER,
+      PRIMARY KEY (namespace, key)
+    )
+  `);
+
+  databases.set(dbPath, db);
+  console.log(`[Storage] SQLite database opened: ${dbPath}`);
+  return db;
+}
+
+function createSqliteAdapter(namespace, { path: dbPath } = {}) {
+  const db = openDatabase(dbPath || process.env.STORE_SQLITE_PATH || './data/instaflow.db');
+
+  const getStmt = db.prepare('SELECT value, expires_at FROM kv_store WHERE namespace = ? AND key = ?');
+  const setStmt = db.prepare(`
+    INSERT INTO kv_store (namespace, key, value, expires_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT (namespace, key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at
+  `);
+  const deleteStmt = db.prepare('DELETE FROM kv_store WHERE namespace = ? AND key = ?');
+  const takeStmt = db.prepare('DELETE FROM kv_store WHERE namespace = ? AND key = ? RETURNING value, expires_at');
+  // One statement, so concurrent increments never read the same value; an expired counter starts over
+  const incrementStmt = db.prepare(`
+    INSERT INTO kv_store (namespace, key, value, expires_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT (namespace, key) DO UPDATE SET
+      value = CASE
+        WHEN kv_store.expires_at IS NOT NULL AND kv_store.expires_at <= ? THEN excluded.value
+        ELSE CAST(kv_store.value AS INTEGER) + CAST(excluded.value AS INTEGER)
+      END,
+      expires_at = excluded.expires_at
+    RETURNING value
+  `);
+  const listStmt = db.prepare(`
+    SELECT key, value FROM kv_store
+    WHERE namespace = ? AND substr(key, 1, ?) = ? AND (expires_at IS NULL OR expires_at > ?)
+  `);
+  const purgeStmt = db.prepare('DELETE FROM kv_store WHERE namespace = ? AND expires_at IS NOT NULL AND expires_at <= ?');
+
+  return {
+    name: 'sqlite',
+    namespace,
+
+    async get(key) {
+      const row = getStmt.get(namespace, key);
+      if (!row) return null;
+      if (row.expires_at !== null && row.expires_at <= Date.now()) {
+        deleteStmt.run(namespace, key);
+        return null;
+      }
+      return JSON.parse(row.value);
+    },
+
+    async set(key, value, { ttlMs } = {}) {
+      setStmt.run(namespace, key, JSON.stringify(value), ttlMs ? Date.now() + ttlMs : null);
+    },
+
+    async delete(key) {
+      deleteStmt.run(namespace, key);
+    },
+
+    // Only the call whose DELETE removed the row gets it back
+    async take(key) {
+      const row = takeStmt.get(namespace, key);
+      if (!row || (row.expires_at !== null && row.expires_at <= Date.now())) return null;
+      return JSON.parse(row.value);
+    },
+
+    async increment(key, amount, { ttlMs } = {}) {
+      const now = Date.now();
+      const row = incrementStmt.get(namespace, key, String(amount), ttlMs ? now + ttlMs : null, now);
+      return Number(row.value);
+    },
+
+    async entries(prefix = '') {
+      return listStmt
+        .all(namespace, prefix.length, prefix, Date.now())
+        .map((row) => [row.key, JSON.parse(row.value)]);
+    },
+
+    async purgeExpired() {
+      return purgeStmt.run(namespace, Date.now()).changes;
+    },
+  };
+}
+
+module.exports = { createSqliteAdapter, openDatabase };
@@ -0,0 +1,181 @@
+/**
+ * Structured (JSON-schema constrained) generation
+ *
+ * Schemas use a small JSON Schema subset that every provider can express:
+ * type (object | array | string | integer | number | boolean), properties, required, items,
+ * minItems / maxItems, minLength / maxLength and enum.
+ */
+
+const MAX_REPORTED_ERRORS = 10;
+
+/**
+ * Validate a value against a schema
+ * @param {any} value - Parsed model output
+ * @param {object} schema - Schema (see subset above)
+ * @param {string} path - JSON path of `value`, used in error messages
+ * @returns {string[]} - Validation errors (empty when valid)
+ */
+function validateSchema(value, schema, path = '$') {
+  const errors = [];
+
+  switch (schema.type) {
+    case 'object': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return [`${path}: expected object`];
+      }
+      for (const key of schema.required || []) {
+        if (value[key] === undefined || value[key] === null) {
+          errors.push(`${path}.${key}: is required`);
+        }
+      }
+      for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+        if (value[key] !== undefined && value[key] !== null) {
+          errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+        }
+      }
+      break;
+    }
+
+    case 'array': {
+      if (!Array.isArray(value)) {
+        return [`${path}: expected array`];
+      }
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(`${path}: expected at least ${schema.minItems} items, got ${value.length}`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push(`${path}: expected at most ${schema.maxItems} items, got ${value.length}`);
+      }
+      if (schema.items) {
+        value.forEach((item, index) => {
+          errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+        });
+      }
+      break;
+    }
+
+    case 'string': {
+      if (typeof value !== 'string') {
+        return [`${path}: expected string`];
+      }
+      if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+        errors.push(`${path}: expected at least ${schema.minLength} characters`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        errors.push(`${path}: expected at most ${schema.maxLength} characters`);
+      }
+      if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path}: expected one of ${schema.enum.join(', ')}`);
+      }
+      break;
+    }
+
+    case 'integer':
+    case 'number': {
+      if (typeof value !== 'number' || !Number.isFinite(value) || (schema.type === 'integer' && !Number.isInteger(value))) {
+        return [`${path}: expected ${schema.type}`];
+      }
+      break;
+    }
+
+    case 'boolean': {
+      if (typeof value !== 'boolean') {
+        return [`${path}: expected boolean`];
+      }
+      break;
+    }
+
+    default:
+      break;
+  }
+
+  return errors;
+}
+
+/**
+ * Parse model output as JSON
+ * Tolerates a markdown code fence around the payload, nothing else
+ * @param {string} text - Raw model output
+ * @returns {{ value: any, error: string|null }}
+ */
+function parseJsonOutput(text) {
+  if (!text || typeof text !== 'string' || text.trim() === '') {
+    return { value: null, error: '$: empty response' };
+  }
+
+  const cleaned = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  try {
+    return { value: JSON.parse(cleaned), error: null };
+  } catch (error) {
+    return { value: null, error: `$: invalid JSON (${error.message})` };
+  }
+}
+
+/**
+ * Check raw output against a schema
+ * @returns {{ value: any, errors: string[] }}
+ */
+function checkOutput(text, schema) {
+  const { value, error } = parseJsonOutput(text);
+  if (error) {
+    return { value: null, errors: [error] };
+  }
+  return { value, errors: validateSchema(value, schema) };
+}
+
+function buildRepairPrompt(prompt, output, errors, schema) {
+  return `${prompt}
+
+---
+Your previous response did not match the required JSON schema.
+
+Validation errors:
+${errors.slice(0, MAX_REPORTED_ERRORS).map(error => `- ${error}`).join('\n')}
+
+Previous response:
+${(output || '').slice(0, 4000)}
+
+Required JSON schema:
+${JSON.stringify(schema)}
+
+Return ONLY the corrected JSON. Keep everything that was already valid.`;
+}
+
+/**
+ * Generate output that conforms to a schema
+ * Runs the generation, validates the JSON and on failure does exactly one repair round-trip
+ * (the model gets its invalid output and the validation errors back)
+ * @param {object} options
+ * @param {string} options.label - What is being generated (used in logs and errors)
+ * @param {object} options.schema - Output schema
+ * @param {string} options.prompt - Prompt text
+ * @param {function} options.generate - async (promptText, { repair }) => raw output text
+ * @returns {Promise<any>} - Parsed, schema-valid output
+ * @throws {Error} OUTPUT_SCHEMA_VIOLATION when the repaired output is still invalid
+ */
+async function generateStructured({ label, schema, prompt, generate }) {
+  const output = await generate(prompt, { repair: false });
+  const first = checkOutput(output, schema);
+  if (first.errors.length === 0) {
+    return first.value;
+  }
+
+  console.warn(`[generateStructured] ${label}: output failed validation (${first.errors.length} errors), requesting repair`);
+  const repairedOutput = await generate(buildRepairPrompt(prompt, output, first.errors, schema), { repair: true });
+  const repaired = checkOutput(repairedOutput, schema);
+  if (repaired.errors.length === 0) {
+    console.log(`[generateStructured] ${label}: repair succeeded`);
+    return repaired.value;
+  }
+
+  const error = new Error(`OUTPUT_SCHEMA_VIOLATION: ${label} output did not match its schema after repair (${repaired.errors.slice(0, 3).join('; ')})`);
+  error.retryable = false;
+  error.validationErrors = repaired.errors.slice(0, MAX_REPORTED_ERRORS);
+  throw error;
+}
+
+module.exports = {
+  validateSchema,
+  parseJsonOutput,
+  generateStructured,
+};
@@ -0,0 +1,142 @@
+/**
+ * Time zone helpers on top of Intl (IANA zone names, no dependencies)
+ *
+ * Calendar dates are 'YYYY-MM-DD' strings and times of day 'HH:mm'; converting them to instants needs
+ * the zone's UTC offset at that moment, which changes with daylight saving time.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_FORMAT = /^\d{4}-\d{2}-\d{2}$/;
+const ZONE_NAME_FORMAT = /^(?:UTC|[A-Z][A-Za-z_]+(?:\/[A-Za-z0-9_+-]+)+)$/;
+// A date-time without 'Z' or an offset, e.g. '2026-03-29T19:30' or '2026-03-29T19:30:00'
+const LOCAL_DATE_TIME_FORMAT = /^(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2})(?::(\d{2})(?:\.\d+)?)?$/;
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Whether a string is an IANA time zone known to this runtime (e.g. 'Asia/Kolkata')
+ * Legacy abbreviations Intl still accepts ('IST', 'EST') are rejected: they do not mean what users expect
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !ZONE_NAME_FORMAT.test(timeZone)) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Wall clock of an instant in a zone
+ * @returns {{ date: string, time: string, seconds: number, weekday: number }} - 'YYYY-MM-DD', 'HH:mm', 0 = Sunday
+ */
+function toZonedParts(instant, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(instant)) {
+    parts[type] = value;
+  }
+  const date = `${parts.year}-${parts.month}-${parts.day}`;
+  return {
+    date,
+    time: `${parts.hour}:${parts.minute}`,
+    seconds: Number(parts.second),
+    weekday: weekdayOf(date),
+  };
+}
+
+/**
+ * UTC offset of a zone at an instant, in milliseconds (positive east of UTC)
+ */
+function getOffsetMs(instant, timeZone) {
+  const { date, time, seconds } = toZonedParts(instant, timeZone);
+  const wallClockAsUtc = Date.parse(`${date}T${time}:${String(seconds).padStart(2, '0')}Z`);
+  return wallClockAsUtc - Math.floor(instant.getTime() / 1000) * 1000;
+}
+
+/**
+ * Instant of a wall-clock date and time in a zone
+ * Times skipped by a DST change move forward with it (02:30 becomes 03:30), repeated times resolve to the first occurrence
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {string} time - 'HH:mm'
+ * @param {string} timeZone - IANA zone
+ * @returns {Date}
+ */
+function zonedTimeToUtc(date, time, timeZone) {
+  const wallClockAsUtc = Date.parse(`${date}T${time}:00Z`);
+  // Offsets a day either side cover both sides of any DST change affecting this wall-clock time
+  const offsets = [...new Set([-DAY_MS, DAY_MS].map(shift => getOffsetMs(new Date(wallClockAsUtc + shift), timeZone)))];
+  const matches = offsets
+    .map(offset => wallClockAsUtc - offset)
+    .filter(instant => getOffsetMs(new Date(instant), timeZone) === wallClockAsUtc - instant);
+  if (matches.length > 0) {
+    return new Date(Math.min(...matches));
+  }
+  // Skipped by a DST change: read it with the offset before the change, which moves it forward
+  return new Date(wallClockAsUtc - Math.min(...offsets));
+}
+
+/**
+ * Whether a string is a real calendar date in 'YYYY-MM-DD' form
+ */
+function isValidDate(value) {
+  if (typeof value !== 'string' || !DATE_FORMAT.test(value)) return false;
+  const parsed = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Instant of an ISO 8601 date-time
+ * Values with 'Z' or an offset are absolute; local values ('2026-03-29T19:30') are read in timeZone, DST included
+ * @param {string} value - Date-time from a request
+ * @param {string} timeZone - IANA zone for local values
+ * @returns {Date|null} - null when the value is not a date-time
+ */
+function parseDateTimeInZone(value, timeZone) {
+  if (typeof value !== 'string') return null;
+  const local = LOCAL_DATE_TIME_FORMAT.exec(value.trim());
+  if (local) {
+    if (!isValidDate(local[1]) || Number(local[2].slice(0, 2)) > 23 || Number(local[2].slice(3)) > 59) return null;
+    return new Date(zonedTimeToUtc(local[1], local[2], timeZone).getTime() + Number(local[3] || 0) * 1000);
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Day of the week of a calendar date, 0 = Sunday
+ */
+function weekdayOf(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+module.exports = {
+  isValidTimeZone,
+  isValidDate,
+  toZonedParts,
+  getOffsetMs,
+  zonedTimeToUtc,
+  parseDateTimeInZone,
+  addDays,
+  weekdayOf,
+};
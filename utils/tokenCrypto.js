@@ -0,0 +1,159 @@
+/**
+ * Envelope encryption for OAuth tokens at rest
+ *
+ * Every record is encrypted with its own random data key (AES-256-GCM), and the data key is wrapped
+ * with a master key (AES-256-GCM) from TOKEN_ENCRYPTION_KEYS: comma-separated base64 32-byte keys,
+ * the first one encrypts, all of them decrypt. Rotating = prepending a new key; records wrapped with an
+ * older key report needsReencrypt so the store can rewrite them on read.
+ * The user id and account email are bound to the ciphertext (GCM additional data), so records cannot be swapped
+ * between users or between one user's accounts. v1 records (user id only) still decrypt and report needsReencrypt.
+ *
+ * Generate a key: node -e "console.log(require('crypto').randomBytes(32).toString('base64'))"
+ */
+
+const crypto = require('crypto');
+
+const FORMAT = 'aes-256-gcm/v2';
+const LEGACY_FORMAT = 'aes-256-gcm/v1';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+let keyCache = { source: null, keys: [] };
+let warnedPlaintext = false;
+
+function cryptoError(message) {
+  const error = new Error(message);
+  error.statusCode = 500;
+  return error;
+}
+
+/**
+ * Master keys from TOKEN_ENCRYPTION_KEYS, active key first
+ * @returns {Array<{ id: string, key: Buffer }>} - id is a fingerprint of the key, stored with each record
+ */
+function getMasterKeys() {
+  const source = process.env.TOKEN_ENCRYPTION_KEYS || '';
+  if (keyCache.source === source) return keyCache.keys;
+
+  const keys = source.split(',').map(value => value.trim()).filter(Boolean).map((value) => {
+    const key = Buffer.from(value, 'base64');
+    if (key.length !== 32) {
+      throw cryptoError('TOKEN_ENCRYPTION_KEY_INVALID: TOKEN_ENCRYPTION_KEYS entries must be base64-encoded 32-byte keys');
+    }
+    return { id: crypto.createHash('sha256').update(key).digest('hex').slice(0, 12), key };
+  });
+  keyCache = { source, keys };
+  return keys;
+}
+
+function isEncryptionEnabled() {
+  return getMasterKeys().length > 0;
+}
+
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(aad);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+}
+
+function open(key, sealed, aad) {
+  const buffer = Buffer.from(sealed, 'base64');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, buffer.subarray(0, IV_BYTES));
+  decipher.setAAD(aad);
+  decipher.setAuthTag(buffer.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  return Buffer.concat([decipher.update(buffer.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+}
+
+/**
+ * Whether a stored record is an encrypted envelope (anything else is a legacy plaintext token set)
+ */
+function isEncrypted(record) {
+  return Boolean(record && (record.format === FORMAT || record.format === LEGACY_FORMAT) && record.data && record.dataKey);
+}
+
+function additionalData(format, userId, email) {
+  return Buffer.from(format === LEGACY_FORMAT ? `tokens:${userId}` : `tokens:${userId}:${email}`);
+}
+
+/**
+ * Encrypt a user's tokens with the active master key
+ * @param {string} userId - Owner, bound to the ciphertext
+ * @param {string} email - Google account the tokens belong to ('' before it is identified), bound to the ciphertext
+ * @param {object} tokens - Token set (refresh_token, access_token, ...)
+ * @returns {object} - Envelope { format, keyId, dataKey, data }
+ * @throws {Error} TOKEN_ENCRYPTION_KEY_MISSING when no master key is configured
+ */
+function encryptTokens(userId, email, tokens) {
+  const [active] = getMasterKeys();
+  if (!active) {
+    throw cryptoError('TOKEN_ENCRYPTION_KEY_MISSING: Set TOKEN_ENCRYPTION_KEYS to store OAuth tokens');
+  }
+
+  const aad = additionalData(FORMAT, userId, email);
+  const dataKey = crypto.randomBytes(32);
+  return {
+    format: FORMAT,
+    keyId: active.id,
+    dataKey: seal(active.key, dataKey, aad),
+    data: seal(dataKey, Buffer.from(JSON.stringify(tokens)), aad),
+  };
+}
+
+/**
+ * Prepare tokens for storage: encrypted when a key is configured
+ * Production refuses to store plaintext (TOKEN_ENCRYPTION_KEY_MISSING), development stores it with a warning
+ * @param {string} userId - Owner, bound to the ciphertext
+ * @param {string} email - Google account, bound to the ciphertext
+ * @param {object} tokens - Token set
+ * @returns {object} - Envelope, or the tokens themselves in development without a key
+ */
+function sealTokens(userId, email, tokens) {
+  if (isEncryptionEnabled() || process.env.NODE_ENV === 'production') {
+    return encryptTokens(userId, email, tokens);
+  }
+  if (!warnedPlaintext) {
+    console.warn('[tokenCrypto] TOKEN_ENCRYPTION_KEYS not set - storing OAuth tokens in plaintext (development only)');
+    warnedPlaintext = true;
+  }
+  return tokens;
+}
+
+/**
+ * Decrypt a stored record
+ * Plaintext records (written before encryption was enabled) are returned as they are
+ * @param {string} userId - Owner the record is stored under
+ * @param {string} email - Account the record is stored under
+ * @param {object} record - Envelope or legacy plaintext token set
+ * @returns {{ tokens: object, needsReencrypt: boolean }} - needsReencrypt when the record is plaintext, a v1
+ *          envelope or wrapped with a key other than the active one
+ * @throws {Error} TOKEN_DECRYPT_FAILED / TOKEN_ENCRYPTION_KEY_UNKNOWN
+ */
+function decryptTokens(userId, email, record) {
+  const keys = getMasterKeys();
+  if (!isEncrypted(record)) {
+    return { tokens: record, needsReencrypt: keys.length > 0 };
+  }
+
+  const master = keys.find(candidate => candidate.id === record.keyId);
+  if (!master) {
+    throw cryptoError(`TOKEN_ENCRYPTION_KEY_UNKNOWN: Tokens for ${userId} were encrypted with key ${record.keyId}, which is not in TOKEN_ENCRYPTION_KEYS`);
+  }
+
+  try {
+    const aad = additionalData(record.format, userId, email);
+    const dataKey = open(master.key, record.dataKey, aad);
+    const tokens = JSON.parse(open(dataKey, record.data, aad).toString('utf8'));
+    return { tokens, needsReencrypt: master.id !== keys[0].id || record.format !== FORMAT };
+  } catch (error) {
+    throw cryptoError(`TOKEN_DECRYPT_FAILED: Tokens for ${userId} could not be decrypted (${error.message})`);
+  }
+}
+
+module.exports = {
+  isEncryptionEnabled,
+  sealTokens,
+  encryptTokens,
+  decryptTokens,
+};
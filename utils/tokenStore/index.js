@@ -0,0 +1,56 @@
+/**
+ * OAuth token store
+ *
+ * A user can connect several Google accounts; each connection is identified by the account's email
+ * ('' for connections imported from before accounts were identified, see utils/googleAccounts.js).
+ * Every implementation provides the same async interface:
+ *   saveTokens(userId, email, tokens) -> void           store a new connection (OAuth callback), sets connectedAt
+ *   updateTokens(userId, email, tokens) -> tokens | null  merge refreshed tokens into the stored set, sets lastRefreshedAt
+ *   getTokens(userId, email) -> tokens | null           read for use, sets lastUsedAt
+ *   hasTokens(userId) -> boolean                        any account connected
+ *   deleteTokens(userId, email) -> boolean              remove the connection, false when there was none
+ *   renameAccount(userId, fromEmail, toEmail) -> boolean  identify a connection (replaced by an existing toEmail)
+ *   getTokenInfo(userId, email) -> { userId, email, connectedAt, lastRefreshedAt, lastUsedAt } | null
+ *   listAccounts(userId) -> [getTokenInfo, ...]         oldest connection first
+ *   reencryptAll() -> { total, reencrypted }            encrypt every record with the active key
+ *
+ * Tokens are encrypted at rest (utils/tokenCrypto.js). Each user's record is updated atomically, so
+ * concurrent callbacks and refreshes cannot overwrite each other.
+ * Backend is selected with TOKEN_STORE_BACKEND: sqlite (default) | memory
+ */
+
+const { createSqliteTokenStore } = require('./sqliteTokenStore');
+const { createMemoryTokenStore } = require('./memoryTokenStore');
+
+const factories = {
+  sqlite: createSqliteTokenStore,
+  memory: createMemoryTokenStore,
+};
+
+let store = null;
+
+function getStore() {
+  if (store) return store;
+
+  const backend = (process.env.TOKEN_STORE_BACKEND || 'sqlite').trim().toLowerCase();
+  const factory = factories[backend];
+  if (!factory) {
+    throw new Error(`TOKEN_STORE_BACKEND_INVALID: Unknown token store backend "${backend}" (expected ${Object.keys(factories).join(', ')})`);
+  }
+
+  store = factory();
+  console.log(`[tokenStore] Using ${store.name} token store`);
+  return store;
+}
+
+module.exports = {
+  saveTokens: (userId, email, tokens) => getStore().saveTokens(userId, email, tokens),
+  updateTokens: (userId, email, tokens) => getStore().updateTokens(userId, email, tokens),
+  getTokens: (userId, email) => getStore().getTokens(userId, email),
+  hasTokens: (userId) => getStore().hasTokens(userId),
+  deleteTokens: (userId, email) => getStore().deleteTokens(userId, email),
+  renameAccount: (userId, fromEmail, toEmail) => getStore().renameAccount(userId, fromEmail, toEmail),
+  getTokenInfo: (userId, email) => getStore().getTokenInfo(userId, email),
+  listAccounts: (userId) => getStore().listAccounts(userId),
+  reencryptAll: () => getStore().reencryptAll(),
+};
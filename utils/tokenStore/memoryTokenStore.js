@@ -0,0 +1,111 @@
+const { sealTokens, encryptTokens, decryptTokens, isEncryptionEnabled } = require('../tokenCrypto');
+
+/**
+ * In-memory token store
+ * Process-local: connections are lost on restart, for development and tests only
+ */
+function createMemoryTokenStore() {
+  // userId -> (email -> record)
+  const users = new Map();
+
+  function accountsOf(userId) {
+    return users.get(userId) || new Map();
+  }
+
+  function read(userId, email) {
+    const record = accountsOf(userId).get(email);
+    return record ? { record, ...decryptTokens(userId, email, record.tokens) } : null;
+  }
+
+  function toInfo(userId, email, record) {
+    const { connectedAt, lastRefreshedAt, lastUsedAt } = record;
+    return { userId, email: email || null, connectedAt, lastRefreshedAt, lastUsedAt };
+  }
+
+  return {
+    name: 'memory',
+
+    async saveTokens(userId, email, tokens) {
+      const accounts = accountsOf(userId);
+      const previous = accounts.get(email);
+      accounts.set(email, {
+        tokens: sealTokens(userId, email, tokens),
+        connectedAt: new Date().toISOString(),
+        lastRefreshedAt: null,
+        lastUsedAt: previous ? previous.lastUsedAt : null,
+      });
+      users.set(userId, accounts);
+    },
+
+    async updateTokens(userId, email, newTokens) {
+      const current = read(userId, email);
+      if (!current) return null;
+      const merged = { ...current.tokens, ...newTokens };
+      current.record.tokens = sealTokens(userId, email, merged);
+      current.record.lastRefreshedAt = new Date().toISOString();
+      return merged;
+    },
+
+    async getTokens(userId, email) {
+      const current = read(userId, email);
+      if (!current) return null;
+      if (current.needsReencrypt) {
+        current.record.tokens = encryptTokens(userId, email, current.tokens);
+      }
+      current.record.lastUsedAt = new Date().toISOString();
+      return current.tokens;
+    },
+
+    async hasTokens(userId) {
+      return accountsOf(userId).size > 0;
+    },
+
+    async deleteTokens(userId, email) {
+      return accountsOf(userId).delete(email);
+    },
+
+    async renameAccount(userId, fromEmail, toEmail) {
+      const accounts = accountsOf(userId);
+      const current = read(userId, fromEmail);
+      if (!current) return false;
+      accounts.delete(fromEmail);
+      if (!accounts.has(toEmail)) {
+        // The email is bound to the ciphertext, so the tokens are wrapped again for the new one
+        accounts.set(toEmail, { ...current.record, tokens: sealTokens(userId, toEmail, current.tokens) });
+      }
+      return true;
+    },
+
+    async getTokenInfo(userId, email) {
+      const record = accountsOf(userId).get(email);
+      return record ? toInfo(userId, email, record) : null;
+    },
+
+    async listAccounts(userId) {
+      return [...accountsOf(userId).entries()]
+        .map(([email, record]) => toInfo(userId, email, record))
+        .sort((a, b) => a.connectedAt.localeCompare(b.connectedAt));
+    },
+
+    async reencryptAll() {
+      if (!isEncryptionEnabled()) {
+        throw new Error('TOKEN_ENCRYPTION_KEY_MISSING: Set TOKEN_ENCRYPTION_KEYS to encrypt the token store');
+      }
+      let total = 0;
+      let reencrypted = 0;
+      for (const [userId, accounts] of users.entries()) {
+        for (const email of accounts.keys()) {
+          const current = read(userId, email);
+          total++;
+          if (current.needsReencrypt) {
+            current.record.tokens = encryptTokens(userId, email, current.tokens);
+            reencrypted++;
+          }
+        }
+      }
+      return { total, reencrypted };
+    },
+  };
+}
+
+module.exports = { createMemoryTokenStore };
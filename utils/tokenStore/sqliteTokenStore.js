@@ -0,0 +1,201 @@
+const fs = require('fs');
+const { openDatabase } = require('../storage/sqliteAdapter');
+const { sealTokens, encryptTokens, decryptTokens, isEncryptionEnabled } = require('../tokenCrypto');
+
+/**
+ * SQLite token store
+ * One row per connected Google account (user id + account email) in the job database file
+ * (TOKEN_STORE_SQLITE_PATH, default STORE_SQLITE_PATH).
+ * Read-modify-write operations run in IMMEDIATE transactions, so they are serialized across requests and processes.
+ * On first use, users from the legacy JSON store (TOKEN_STORE_PATH, default ./data/tokens.json) and the
+ * single-account oauth_tokens table are imported with an empty email (see utils/googleAccounts.js).
+ */
+
+function toIso(ms) {
+  return ms ? new Date(ms).toISOString() : null;
+}
+
+function toInfo(row) {
+  return {
+    userId: row.user_id,
+    email: row.email || null,
+    connectedAt: toIso(row.connected_at),
+    lastRefreshedAt: toIso(row.last_refreshed_at),
+    lastUsedAt: toIso(row.last_used_at),
+  };
+}
+
+function migrateLegacyFile(db, insertStmt, legacyPath) {
+  if (!fs.existsSync(legacyPath)) return;
+
+  const raw = fs.readFileSync(legacyPath, 'utf-8');
+  const legacy = raw ? JSON.parse(raw) : {};
+  const now = Date.now();
+
+  const imported = db.transaction(() => {
+    let count = 0;
+    for (const [userId, record] of Object.entries(legacy)) {
+      const { tokens } = decryptTokens(userId, '', record);
+      count += insertStmt.run(userId, JSON.stringify(sealTokens(userId, '', tokens)), now, now).changes;
+    }
+    return count;
+  })();
+
+  fs.renameSync(legacyPath, `${legacyPath}.migrated`);
+  console.log(`[tokenStore] Imported ${imported} of ${Object.keys(legacy).length} users from ${legacyPath} (renamed to ${legacyPath}.migrated, delete it once verified)`);
+}
+
+function migrateSingleAccountTable(db) {
+  const legacyTable = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'oauth_tokens'").get();
+  if (!legacyTable) return;
+
+  const imported = db.transaction(() => {
+    const { changes } = db.prepare(`
+      INSERT INTO google_accounts (user_id, email, tokens, connected_at, last_refreshed_at, last_used_at, updated_at)
+      SELECT user_id, '', tokens, connected_at, last_refreshed_at, last_used_at, updated_at FROM oauth_tokens
+      WHERE true ON CONFLICT (user_id, email) DO NOTHING
+    `).run();
+    db.exec('DROP TABLE oauth_tokens');
+    return changes;
+  }).immediate();
+  console.log(`[tokenStore] Moved ${imported} connections from oauth_tokens to google_accounts`);
+}
+
+function createSqliteTokenStore({
+  path: dbPath = process.env.TOKEN_STORE_SQLITE_PATH || process.env.STORE_SQLITE_PATH || './data/instaflow.db',
+  legacyPath = process.env.TOKEN_STORE_PATH || './data/tokens.json',
+} = {}) {
+  const db = openDatabase(dbPath);
+  // email is '' for connections imported before accounts were identified
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS google_accounts (
+      user_id TEXT NOT NULL,
+      email TEXT NOT NULL,
+      tokens TEXT NOT NULL,
+      connected_at INTEGER NOT NULL,
+      last_refreshed_at INTEGER,
+      last_used_at INTEGER,
+      updated_at INTEGER NOT NULL,
+      PRIMARY KEY (user_id, email)
+    )
+  `);
+  migrateSingleAccountTable(db);
+
+  const getStmt = db.prepare('SELECT * FROM google_accounts WHERE user_id = ? AND email = ?');
+  const listStmt = db.prepare('SELECT * FROM google_accounts WHERE user_id = ? ORDER BY connected_at, email');
+  const existsStmt = db.prepare('SELECT 1 FROM google_accounts WHERE user_id = ? LIMIT 1');
+  const allStmt = db.prepare('SELECT user_id, email, tokens FROM google_accounts');
+  const insertStmt = db.prepare(`
+    INSERT INTO google_accounts (user_id, email, tokens, connected_at, updated_at) VALUES (?, '', ?, ?, ?)
+    ON CONFLICT (user_id, email) DO NOTHING
+  `);
+  const connectStmt = db.prepare(`
+    INSERT INTO google_accounts (user_id, email, tokens, connected_at, updated_at) VALUES (@userId, @email, @tokens, @now, @now)
+    ON CONFLICT (user_id, email) DO UPDATE SET
+      tokens = excluded.tokens, connected_at = excluded.connected_at, last_refreshed_at = NULL, updated_at = excluded.updated_at
+  `);
+  const refreshStmt = db.prepare('UPDATE google_accounts SET tokens = ?, last_refreshed_at = ?, updated_at = ? WHERE user_id = ? AND email = ?');
+  const useStmt = db.prepare('UPDATE google_accounts SET last_used_at = ? WHERE user_id = ? AND email = ?');
+  const deleteStmt = db.prepare('DELETE FROM google_accounts WHERE user_id = ? AND email = ?');
+  const renameStmt = db.prepare('UPDATE google_accounts SET email = ?, tokens = ?, updated_at = ? WHERE user_id = ? AND email = ?');
+  const rewrapStmt = db.prepare('UPDATE google_accounts SET tokens = ?, updated_at = ? WHERE user_id = ? AND email = ?');
+
+  migrateLegacyFile(db, insertStmt, legacyPath);
+
+  const refresh = db.transaction((userId, email, newTokens) => {
+    const row = getStmt.get(userId, email);
+    if (!row) return null;
+    const { tokens } = decryptTokens(userId, email, JSON.parse(row.tokens));
+    // Google omits the refresh token on refresh, so merge instead of replacing
+    const merged = { ...tokens, ...newTokens };
+    const now = Date.now();
+    refreshStmt.run(JSON.stringify(sealTokens(userId, email, merged)), now, now, userId, email);
+    return merged;
+  });
+
+  const use = db.transaction((userId, email) => {
+    const row = getStmt.get(userId, email);
+    if (!row) return null;
+    const { tokens, needsReencrypt } = decryptTokens(userId, email, JSON.parse(row.tokens));
+    const now = Date.now();
+    // Migrate plaintext and v1 records and records wrapped with a rotated-out key as they are read
+    if (needsReencrypt) {
+      rewrapStmt.run(JSON.stringify(encryptTokens(userId, email, tokens)), now, userId, email);
+    }
+    useStmt.run(now, userId, email);
+    return tokens;
+  });
+
+  const rename = db.transaction((userId, fromEmail, toEmail) => {
+    const row = getStmt.get(userId, fromEmail);
+    if (!row) return false;
+    // The account was connected again since; the newer connection wins
+    if (getStmt.get(userId, toEmail)) {
+      deleteStmt.run(userId, fromEmail);
+      return true;
+    }
+    // The email is bound to the ciphertext, so the tokens are wrapped again for the new one
+    const { tokens } = decryptTokens(userId, fromEmail, JSON.parse(row.tokens));
+    renameStmt.run(toEmail, JSON.stringify(sealTokens(userId, toEmail, tokens)), Date.now(), userId, fromEmail);
+    return true;
+  });
+
+  const reencrypt = db.transaction(() => {
+    const rows = allStmt.all();
+    let reencrypted = 0;
+    for (const row of rows) {
+      const { tokens, needsReencrypt } = decryptTokens(row.user_id, row.email, JSON.parse(row.tokens));
+      if (needsReencrypt) {
+        rewrapStmt.run(JSON.stringify(encryptTokens(row.user_id, row.email, tokens)), Date.now(), row.user_id, row.email);
+        reencrypted++;
+      }
+    }
+    return { total: rows.length, reencrypted };
+  });
+
+  return {
+    name: 'sqlite',
+
+    async saveTokens(userId, email, tokens) {
+      connectStmt.run({ userId, email, tokens: JSON.stringify(sealTokens(userId, email, tokens)), now: Date.now() });
+    },
+
+    async updateTokens(userId, email, tokens) {
+      return refresh.immediate(userId, email, tokens);
+    },
+
+    async getTokens(userId, email) {
+      return use.immediate(userId, email);
+    },
+
+    async hasTokens(userId) {
+      return Boolean(existsStmt.get(userId));
+    },
+
+    async deleteTokens(userId, email) {
+      return deleteStmt.run(userId, email).changes > 0;
+    },
+
+    async renameAccount(userId, fromEmail, toEmail) {
+      return rename.immediate(userId, fromEmail, toEmail);
+    },
+
+    async getTokenInfo(userId, email) {
+      const row = getStmt.get(userId, email);
+      return row ? toInfo(row) : null;
+    },
+
+    async listAccounts(userId) {
+      return listStmt.all(userId).map(toInfo);
+    },
+
+    async reencryptAll() {
+      if (!isEncryptionEnabled()) {
+        throw new Error('TOKEN_ENCRYPTION_KEY_MISSING: Set TOKEN_ENCRYPTION_KEYS to encrypt the token store');
+      }
+      return reencrypt.immediate();
+    },
+  };
+}
+
+module.exports = { createSqliteTokenStore };
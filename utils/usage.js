@@ -0,0 +1,255 @@
+/**
+ * Token usage and cost accounting
+ *
+ * Every LLM call's token counts (see utils/providers) are added to a daily counter in the 'usage' store,
+ * keyed by day (UTC), user ('anonymous' for signed-out requests), job type and model. Each count (calls, prompt,
+ * candidate and total tokens) is its own counter key, raised with the store's atomic increment so concurrent
+ * calls do not overwrite each other.
+ * Counters are kept for USAGE_RETENTION_DAYS (default 90).
+ *
+ * Spend is estimated from a per-model price table in PRICING_FILE (default ./pricing.json),
+ * in USD per million tokens:
+ *   { "gemini-3-flash-preview": { "inputPer1M": 0.5, "outputPer1M": 3 } }
+ * Prompt tokens are billed as input, everything else (candidates and thinking tokens) as output.
+ * The file is re-read when it changes; models missing from it are reported as unpriced.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createStore } = require('./storage');
+
+const PRICING_FILE = process.env.PRICING_FILE || path.join(__dirname, '..', 'pricing.json');
+const RETENTION_DAYS = parseInt(process.env.USAGE_RETENTION_DAYS, 10) || 90;
+const MAX_REPORT_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_FORMAT = /^\d{4}-\d{2}-\d{2}$/;
+
+const GROUP_FIELDS = {
+  day: 'day',
+  user: 'userId',
+  jobType: 'jobType',
+  model: 'model',
+};
+const DEFAULT_GROUP_BY = ['day', 'user', 'jobType'];
+const COUNT_FIELDS = ['calls', 'promptTokens', 'candidateTokens', 'totalTokens'];
+
+const store = createStore('usage');
+
+let pricingCache = { mtimeMs: null, prices: {} };
+
+function usageError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function toDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// One key per count field; without a field, the id of the counter the fields belong to
+function counterKey({ day, userId, jobType, provider, model }, field) {
+  const parts = [day, userId, jobType, provider, model];
+  if (field) parts.push(field);
+  return parts.map(encodeURIComponent).join('|');
+}
+
+/**
+ * The counter a stored key counts, and which of its fields
+ * @returns {{ counter: object, field: string|undefined }} - field is undefined for counters stored as one
+ *          record before each count had its own key
+ */
+function parseCounterKey(key) {
+  const [day, userId, jobType, provider, model, field] = key.split('|').map(decodeURIComponent);
+  return { counter: { day, userId, jobType, provider, model }, field };
+}
+
+/**
+ * Add one call's token counts to its daily counter
+ * @param {object} entry
+ * @param {string|null} entry.userId - User the call was made for
+ * @param {string} entry.jobType - Job type (or image endpoint) the call generated
+ * @param {string} entry.provider - Provider name
+ * @param {string} entry.model - Model that answered
+ * @param {{ promptTokens, candidateTokens, totalTokens }} entry.usage - Token counts reported by the provider
+ */
+async function recordUsage({ userId, jobType, provider, model, usage, date = new Date() }) {
+  if (!usage) return;
+
+  const counter = {
+    day: toDay(date),
+    userId: userId || 'anonymous',
+    jobType: jobType || 'text',
+    provider,
+    model: model || 'unknown',
+  };
+  const amounts = {
+    calls: 1,
+    promptTokens: usage.promptTokens || 0,
+    candidateTokens: usage.candidateTokens || 0,
+    totalTokens: usage.totalTokens || 0,
+  };
+
+  await Promise.all(COUNT_FIELDS.map(field =>
+    store.increment(counterKey(counter, field), amounts[field], { ttlMs: RETENTION_DAYS * DAY_MS })));
+}
+
+/**
+ * A day's counters with their fields merged back together
+ * @returns {Promise<object[]>} - { day, userId, jobType, provider, model, calls, promptTokens, candidateTokens, totalTokens }
+ */
+async function loadDayCounters(day) {
+  const counters = new Map();
+  for (const [key, value] of await store.entries(`${encodeURIComponent(day)}|`)) {
+    const { counter, field } = parseCounterKey(key);
+    const id = counterKey(counter);
+    if (!counters.has(id)) {
+      counters.set(id, { ...counter, calls: 0, promptTokens: 0, candidateTokens: 0, totalTokens: 0 });
+    }
+    if (field) {
+      if (COUNT_FIELDS.includes(field)) counters.get(id)[field] += Number(value) || 0;
+    } else {
+      addCounter(counters.get(id), value);
+    }
+  }
+  return [...counters.values()];
+}
+
+/**
+ * Load the per-model price table (cached until the file changes)
+ * @returns {object} - { [model]: { inputPer1M, outputPer1M } }
+ */
+function loadPricing() {
+  let stat;
+  try {
+    stat = fs.statSync(PRICING_FILE);
+  } catch (error) {
+    return {};
+  }
+  if (pricingCache.mtimeMs === stat.mtimeMs) {
+    return pricingCache.prices;
+  }
+
+  let prices = {};
+  try {
+    prices = JSON.parse(fs.readFileSync(PRICING_FILE, 'utf8'));
+  } catch (error) {
+    console.error(`[Usage] Failed to load ${PRICING_FILE}:`, error.message);
+  }
+
+  pricingCache = { mtimeMs: stat.mtimeMs, prices };
+  return prices;
+}
+
+/**
+ * Estimated cost of a usage counter
+ * @returns {number|null} - USD, null when the model has no price
+ */
+function estimateCost(counter, prices) {
+  const price = prices[counter.model];
+  if (!price) return null;
+  const outputTokens = Math.max(counter.totalTokens - counter.promptTokens, 0);
+  return (counter.promptTokens * (price.inputPer1M || 0) + outputTokens * (price.outputPer1M || 0)) / 1e6;
+}
+
+function roundCost(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+function parseDay(value, name) {
+  if (!DAY_FORMAT.test(value) || Number.isNaN(Date.parse(`${value}T00:00:00Z`))) {
+    throw usageError(`USAGE_RANGE_INVALID: ${name} must be a date (YYYY-MM-DD)`);
+  }
+  return new Date(`${value}T00:00:00Z`);
+}
+
+function parseGroupBy(value) {
+  if (!value) return DEFAULT_GROUP_BY;
+  const fields = value.split(',').map(field => field.trim()).filter(Boolean);
+  const unknown = fields.filter(field => !GROUP_FIELDS[field]);
+  if (unknown.length > 0) {
+    throw usageError(`USAGE_GROUP_BY_INVALID: Unknown group field ${unknown.join(', ')} (expected ${Object.keys(GROUP_FIELDS).join(', ')})`);
+  }
+  return fields;
+}
+
+function addCounter(target, counter) {
+  for (const field of COUNT_FIELDS) {
+    target[field] += counter[field] || 0;
+  }
+}
+
+/**
+ * Aggregate usage and estimated spend over a date range
+ * @param {object} query
+ * @param {string} query.from - First day, YYYY-MM-DD (default 30 days ago)
+ * @param {string} query.to - Last day, YYYY-MM-DD (default today)
+ * @param {string} query.groupBy - Comma-separated day,user,jobType,model (default day,user,jobType)
+ * @param {string} query.userId - Only this user
+ * @param {string} query.jobType - Only this job type
+ * @returns {Promise<object>} - { from, to, groupBy, currency, totals, groups, unpricedModels }
+ * @throws {Error} USAGE_RANGE_INVALID / USAGE_GROUP_BY_INVALID (statusCode 400)
+ */
+async function buildUsageReport({ from, to, groupBy, userId, jobType } = {}) {
+  const end = to ? parseDay(to, 'to') : parseDay(toDay(new Date()), 'to');
+  const start = from ? parseDay(from, 'from') : new Date(end.getTime() - 29 * DAY_MS);
+  const days = Math.round((end - start) / DAY_MS) + 1;
+  if (days < 1) {
+    throw usageError('USAGE_RANGE_INVALID: from must not be after to');
+  }
+  if (days > MAX_REPORT_DAYS) {
+    throw usageError(`USAGE_RANGE_INVALID: Reports cover at most ${MAX_REPORT_DAYS} days`);
+  }
+  const fields = parseGroupBy(groupBy);
+  const prices = loadPricing();
+
+  const groups = new Map();
+  const totals = { calls: 0, promptTokens: 0, candidateTokens: 0, totalTokens: 0, costUsd: 0 };
+  const unpriced = new Set();
+
+  for (let i = 0; i < days; i++) {
+    const day = toDay(new Date(start.getTime() + i * DAY_MS));
+    for (const counter of await loadDayCounters(day)) {
+      if (userId && counter.userId !== userId) continue;
+      if (jobType && counter.jobType !== jobType) continue;
+
+      const cost = estimateCost(counter, prices);
+      if (cost === null) unpriced.add(counter.model);
+
+      const groupKey = fields.map(field => counter[GROUP_FIELDS[field]]).join('|');
+      if (!groups.has(groupKey)) {
+        const group = {};
+        for (const field of fields) group[GROUP_FIELDS[field]] = counter[GROUP_FIELDS[field]];
+        groups.set(groupKey, { ...group, calls: 0, promptTokens: 0, candidateTokens: 0, totalTokens: 0, costUsd: 0 });
+      }
+      const group = groups.get(groupKey);
+      addCounter(group, counter);
+      addCounter(totals, counter);
+      group.costUsd += cost || 0;
+      totals.costUsd += cost || 0;
+    }
+  }
+
+  return {
+    from: toDay(start),
+    to: toDay(end),
+    groupBy: fields,
+    currency: 'USD',
+    totals: { ...totals, costUsd: roundCost(totals.costUsd) },
+    groups: [...groups.values()]
+      .map(group => ({ ...group, costUsd: roundCost(group.costUsd) }))
+      .sort((a, b) => (a.day && b.day && a.day !== b.day ? a.day.localeCompare(b.day) : b.totalTokens - a.totalTokens)),
+    // Their tokens are counted but not included in costUsd
+    unpricedModels: [...unpriced].sort(),
+  };
+}
+
+// Expired counters are only purged lazily by some backends
+setInterval(() => {
+  store.purgeExpired().catch((error) => console.error('[Usage] Usage cleanup failed:', error.message));
+}, 60 * 60 * 1000).unref();
+
+module.exports = {
+  recordUsage,
+  buildUsageReport,
+};
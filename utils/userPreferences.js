@@ -0,0 +1,78 @@
+/**
+ * Per-user settings kept server-side
+ *
+ * Stored in the 'userPreferences' store (one record per user, no expiry). For now this is the user's
+ * time zone, which calendar endpoints use to read local date-times and to label the events they create.
+ * Preferences are kept as long as the user's Google connections: with the default in-memory STORE_BACKEND
+ * they go to the token store's SQLite database instead (unless TOKEN_STORE_BACKEND=memory).
+ */
+
+const { createStore } = require('./storage');
+const { isValidTimeZone } = require('./timezone');
+
+function storeOptions() {
+  const backend = (process.env.STORE_BACKEND || 'memory').trim().toLowerCase();
+  const tokenBackend = (process.env.TOKEN_STORE_BACKEND || 'sqlite').trim().toLowerCase();
+  if (backend !== 'memory' || tokenBackend !== 'sqlite') return {};
+  return {
+    backend: 'sqlite',
+    path: process.env.TOKEN_STORE_SQLITE_PATH || process.env.STORE_SQLITE_PATH || './data/instaflow.db',
+  };
+}
+
+const store = createStore('userPreferences', storeOptions());
+
+function preferencesError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * A user's preferences
+ * @param {string} userId - User id
+ * @returns {Promise<{ timeZone: string|null, updatedAt: string|null }>}
+ */
+async function getPreferences(userId) {
+  const record = await store.get(userId);
+  return {
+    timeZone: (record && record.timeZone) || null,
+    updatedAt: (record && record.updatedAt) || null,
+  };
+}
+
+/**
+ * Change a user's preferences; fields left undefined keep their value
+ * @param {string} userId - User id
+ * @param {object} changes
+ * @param {string|null} changes.timeZone - IANA zone (e.g. 'Asia/Dubai'), null to clear
+ * @returns {Promise<{ timeZone: string|null, updatedAt: string }>}
+ * @throws {Error} PREFERENCES_TIMEZONE_INVALID (400)
+ */
+async function updatePreferences(userId, { timeZone }) {
+  if (timeZone !== undefined && timeZone !== null && !isValidTimeZone(timeZone)) {
+    throw preferencesError('PREFERENCES_TIMEZONE_INVALID: timeZone must be an IANA time zone (e.g. Asia/Kolkata) or null');
+  }
+
+  const current = await getPreferences(userId);
+  const updated = {
+    timeZone: timeZone !== undefined ? timeZone : current.timeZone,
+    updatedAt: new Date().toISOString(),
+  };
+  await store.set(userId, updated);
+  console.log(`[userPreferences] Updated userId: ${userId} timeZone: ${updated.timeZone || '(none)'}`);
+  return updated;
+}
+
+/**
+ * The user's time zone, null when they have not chosen one
+ */
+async function getUserTimeZone(userId) {
+  return (await getPreferences(userId)).timeZone;
+}
+
+module.exports = {
+  getPreferences,
+  updatePreferences,
+  getUserTimeZone,
+};